@@ -0,0 +1,98 @@
+const { parseISO, isValid, startOfDay } = require('date-fns');
+
+// Built-in signals: labels teams put on AI-assisted PRs, and names AI coding
+// tools use in Co-authored-by trailers (matched as substrings)
+const DEFAULT_AI_LABELS = ['ai-assisted', 'ai-generated', 'copilot'];
+const DEFAULT_AI_CO_AUTHORS = ['copilot', 'claude', 'cursor', 'aider', 'codex', 'devin', 'gemini', 'chatgpt'];
+
+const SIGNAL_TYPES = ['label', 'co-author', 'body', 'adopter'];
+
+// Classifies PRs as AI-assisted from the `aiUsage` section of config.json.
+// Any one signal is enough; all matching signals are recorded.
+class AiUsageClassifier {
+  constructor(options = {}) {
+    const useDefaults = options.useDefaults !== false;
+    this.labels = [...(useDefaults ? DEFAULT_AI_LABELS : []), ...(options.labels || [])].map(label => label.toLowerCase());
+    this.coAuthors = [...(useDefaults ? DEFAULT_AI_CO_AUTHORS : []), ...(options.coAuthors || [])].map(name => name.toLowerCase());
+    this.bodyMarkers = (options.bodyMarkers || []).map(marker => marker.toLowerCase());
+
+    // Login -> adoption date; their PRs created from that day on count as assisted
+    this.adopters = new Map();
+    for (const [login, date] of Object.entries(options.adopters || {})) {
+      const adoptedAt = parseISO(date);
+      if (!isValid(adoptedAt)) {
+        throw new Error(`Invalid adoption date for ${login}: ${date}`);
+      }
+      this.adopters.set(login.toLowerCase(), { login, date, adoptedAt: startOfDay(adoptedAt) });
+    }
+  }
+
+  static fromConfig(config) {
+    return new AiUsageClassifier(config.aiUsage);
+  }
+
+  // Signals found on a PR, e.g. ["label:ai-assisted", "co-author:Copilot <...>"];
+  // empty when it doesn't look AI-assisted. `pr` is the raw PR with its commits.
+  classify(pr, metric) {
+    const signals = [];
+
+    for (const label of metric.labels) {
+      if (this.labels.includes(label.toLowerCase())) signals.push(`label:${label}`);
+    }
+
+    const coAuthors = new Set();
+    for (const commit of pr.commits || []) {
+      for (const match of (commit.commit?.message || '').matchAll(/^co-authored-by:\s*(.+?)\s*$/gim)) {
+        const value = match[1].toLowerCase();
+        if (this.coAuthors.some(name => value.includes(name))) coAuthors.add(match[1]);
+      }
+    }
+    coAuthors.forEach(coAuthor => signals.push(`co-author:${coAuthor}`));
+
+    const body = (pr.body || '').toLowerCase();
+    for (const marker of this.bodyMarkers) {
+      if (body.includes(marker)) signals.push(`body:${marker}`);
+    }
+
+    const adopter = this.adopters.get((metric.author || '').toLowerCase());
+    if (adopter && metric.createdAt >= adopter.adoptedAt) {
+      signals.push(`adopter:${adopter.login} since ${adopter.date}`);
+    }
+
+    return signals;
+  }
+}
+
+// AI-assisted vs non-assisted PRs within each period. Each cohort comparison is
+// shaped like a repository result with the non-assisted PRs as the baseline
+// ("previous") and the assisted ones as "current", so a positive improvement
+// means the AI-assisted PRs were faster.
+function summarizeAiUsage(currentPRs, previousPRs, metricsAnalyzer) {
+  const signals = Object.fromEntries(SIGNAL_TYPES.map(type => [type, 0]));
+  for (const pr of [...currentPRs, ...previousPRs]) {
+    const types = new Set((pr.aiSignals || []).map(signal => signal.split(':')[0]));
+    types.forEach(type => signals[type]++);
+  }
+
+  const cohorts = prs => {
+    const assisted = prs.filter(pr => pr.aiSignals?.length > 0);
+    return {
+      assisted: assisted.length,
+      total: prs.length,
+      ...metricsAnalyzer.compareSegment(assisted, prs.filter(pr => !pr.aiSignals?.length))
+    };
+  };
+
+  return {
+    signals,
+    current: cohorts(currentPRs),
+    previous: cohorts(previousPRs)
+  };
+}
+
+module.exports = {
+  AiUsageClassifier,
+  summarizeAiUsage,
+  DEFAULT_AI_LABELS,
+  DEFAULT_AI_CO_AUTHORS
+};
@@ -0,0 +1,89 @@
+// Logins of bots and automation accounts. REST reports app authors as
+// "name[bot]", GraphQL as plain "name", so both forms are listed.
+const DEFAULT_BOT_AUTHORS = [
+  '*[bot]',
+  'dependabot',
+  'dependabot-preview',
+  'renovate',
+  'renovate-bot',
+  'greenkeeper',
+  'snyk-bot',
+  'pyup-bot',
+  'depfu',
+  'github-actions',
+  'semantic-release-bot',
+  'release-please',
+  'mergify',
+  'imgbot',
+  'allcontributors',
+  'pre-commit-ci'
+];
+
+// Labels dependency updaters and release tooling put on their PRs
+const DEFAULT_BOT_LABELS = ['dependencies', 'autorelease: pending', 'autorelease: tagged'];
+
+const BOT_MODES = ['exclude', 'segment', 'include'];
+
+// Classifies PRs as bot/automation PRs from the `bots` section of config.json.
+// `exclude` drops them from the summaries, `segment` reports them separately,
+// `include` treats them like any other PR.
+class BotFilter {
+  constructor(options = {}) {
+    this.mode = options.mode || 'exclude';
+    if (!BOT_MODES.includes(this.mode)) {
+      throw new Error(`Invalid bots mode "${this.mode}" (${BOT_MODES.join(', ')})`);
+    }
+
+    const useDefaults = options.useDefaults !== false;
+    this.authors = [...(useDefaults ? DEFAULT_BOT_AUTHORS : []), ...(options.authors || [])].map(toAuthorPattern);
+    this.labels = [...(useDefaults ? DEFAULT_BOT_LABELS : []), ...(options.labels || [])].map(label => label.toLowerCase());
+  }
+
+  static fromConfig(config, mode) {
+    return new BotFilter({ ...config.bots, mode: mode || config.bots.mode });
+  }
+
+  // Why a PR counts as a bot PR ("author dependabot[bot]", "label dependencies"), or null
+  classify(pr) {
+    if (this.isBotLogin(pr.author)) {
+      return `author ${pr.author}`;
+    }
+
+    const label = (pr.labels || []).find(name => this.labels.includes(name.toLowerCase()));
+    return label ? `label ${label}` : null;
+  }
+
+  // Whether a login matches the bot author rules, whatever the mode
+  isBotLogin(login) {
+    const name = (login || '').toLowerCase();
+    return this.authors.some(pattern => pattern.test(name));
+  }
+
+  // Split PR metrics into { people, bots }; each bot PR gets its `botReason`
+  partition(prMetrics) {
+    const people = [];
+    const bots = [];
+
+    for (const pr of prMetrics) {
+      pr.botReason = this.classify(pr);
+      (pr.botReason ? bots : people).push(pr);
+    }
+
+    return { people, bots };
+  }
+}
+
+// Case-insensitive login match; "*" matches any characters
+function toAuthorPattern(pattern) {
+  const source = pattern.toLowerCase().split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+module.exports = {
+  BotFilter,
+  BOT_MODES,
+  DEFAULT_BOT_AUTHORS,
+  DEFAULT_BOT_LABELS
+};
@@ -81,9 +81,10 @@ class CacheManager {
   }
 
   // Generate cache key for PR details (most expensive operation)
-  prDetailsKey(owner, repo, prNumber, prUpdatedAt) {
+  prDetailsKey(owner, repo, prNumber, prUpdatedAt, source = 'rest') {
     return this.generateKey({
-      type: 'pr-details',
+      // GraphQL details carry extra fields, so they're cached separately
+      type: source === 'rest' ? 'pr-details' : `pr-details-${source}`,
       owner,
       repo,
       prNumber,
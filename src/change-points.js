@@ -0,0 +1,144 @@
+const { format } = require('date-fns');
+
+// A segment must span at least this many buckets with merged PRs, so a single
+// slow week is never reported as a shift
+const MIN_SEGMENT_BUCKETS = 3;
+
+const METRICS = [
+  { key: 'cycleTime', seriesKey: 'cycleTimeMedianHours', prKey: 'cycleTimeHours' },
+  { key: 'reviewTime', seriesKey: 'reviewTimeMedianHours', prKey: 'reviewTimeHours' }
+];
+
+// Periods this close count as adjacent; an inclusive --compare-until ends a
+// millisecond before the next day starts
+const ADJACENT_TOLERANCE_MS = 1000;
+
+// Shifts in the bucket medians of cycle and review time across both periods.
+// `periods` are [{ name, range, series, prs }] in time order, with the series
+// from MetricsAnalyzer.buildSeries() and the per-PR metrics it was built from.
+// Each shift reports the median of the PRs between it and its neighbours.
+// Only adjacent periods are searched as one series: across a gap or an overlap
+// the jump between them would be reported as a shift, so they are searched apart.
+function detectChangePoints(periods, metricsAnalyzer) {
+  const runs = [];
+  periods.forEach((period, index) => {
+    const previous = periods[index - 1];
+    if (previous && Math.abs(period.range.start - previous.range.end) <= ADJACENT_TOLERANCE_MS) {
+      runs[runs.length - 1].push(period);
+    } else {
+      runs.push([period]);
+    }
+  });
+
+  const result = { bucketDays: periods[0]?.series.bucketDays || null };
+  for (const metric of METRICS) {
+    result[metric.key] = runs.flatMap(run => detectShifts(toBuckets(run), metric, metricsAnalyzer));
+  }
+  return result;
+}
+
+// PRs go into buckets the same way MetricsAnalyzer.buildSeries() counts them
+function toBuckets(periods) {
+  return periods.flatMap(({ name, range, series, prs }) => {
+    const bucketMs = series.bucketDays * 24 * 60 * 60 * 1000;
+    const periodBuckets = series.points.map((point, index) => ({
+      period: name,
+      start: new Date(range.start.getTime() + index * bucketMs),
+      point,
+      prs: []
+    }));
+    for (const pr of prs) {
+      const index = Math.min(periodBuckets.length - 1, Math.max(0, Math.floor((pr.mergedAt - range.start) / bucketMs)));
+      periodBuckets[index].prs.push(pr);
+    }
+    return periodBuckets;
+  });
+}
+
+function detectShifts(buckets, metric, metricsAnalyzer) {
+  const usable = buckets.filter(bucket => bucket.point[metric.seriesKey] !== null);
+  // Log scale: a shift from 40h to 20h weighs as much as one from 8h to 4h
+  const splits = partition(usable.map(bucket => Math.log1p(bucket.point[metric.seriesKey])), MIN_SEGMENT_BUCKETS);
+  const bounds = [0, ...splits, usable.length];
+
+  return splits.map((split, index) => {
+    const values = (from, to) => usable.slice(from, to)
+      .flatMap(bucket => bucket.prs)
+      .map(pr => pr[metric.prKey])
+      .filter(value => value !== null);
+    const before = values(bounds[index], split);
+    const after = values(split, bounds[index + 2]);
+    const beforeMedianHours = metricsAnalyzer.median(before);
+    const afterMedianHours = metricsAnalyzer.median(after);
+
+    return {
+      date: format(usable[split].start, 'yyyy-MM-dd'),
+      period: usable[split].period,
+      beforeMedianHours,
+      afterMedianHours,
+      percentChange: beforeMedianHours ? ((afterMedianHours - beforeMedianHours) / beforeMedianHours) * 100 : null,
+      beforePRs: before.length,
+      afterPRs: after.length
+    };
+  });
+}
+
+// Penalised optimal partitioning of a series into segments of constant mean
+// (the exact search that PELT prunes; series here are short enough to skip it).
+// Costs are squared deviations in units of the noise variance, estimated from
+// the median absolute difference of neighbouring values so shifts don't inflate
+// it. On plateaus that median is 0; the overall standard deviation stands in,
+// which a shift inflates, so it errs towards no shift. Each change point costs
+// 4·ln(n), twice the BIC penalty, which keeps false alarms on series without a
+// shift to a few percent. Returns the split indices.
+function partition(values, minSize) {
+  const n = values.length;
+  if (n < 2 * minSize) return [];
+
+  const differences = values.slice(1).map((value, index) => Math.abs(value - values[index])).sort((a, b) => a - b);
+  const mad = differences[Math.floor(differences.length / 2)];
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / n);
+  const sigma = mad > 0 ? mad / (0.6745 * Math.SQRT2) : std;
+  // Rounding leaves a constant series with a tiny nonzero spread
+  if (!(sigma > 1e-9)) return [];
+
+  const sums = [0];
+  const squares = [0];
+  values.forEach((value, index) => {
+    sums.push(sums[index] + value);
+    squares.push(squares[index] + value * value);
+  });
+  const cost = (from, to) => {
+    const sum = sums[to] - sums[from];
+    return (squares[to] - squares[from] - (sum * sum) / (to - from)) / (sigma * sigma);
+  };
+
+  const penalty = 4 * Math.log(n);
+  const best = new Array(n + 1).fill(Infinity);
+  const previous = new Array(n + 1).fill(0);
+  best[0] = -penalty;
+
+  for (let to = minSize; to <= n; to++) {
+    for (let from = 0; from <= to - minSize; from++) {
+      if (best[from] === Infinity) continue;
+      const total = best[from] + cost(from, to) + penalty;
+      if (total < best[to]) {
+        best[to] = total;
+        previous[to] = from;
+      }
+    }
+  }
+
+  const splits = [];
+  for (let at = previous[n]; at > 0; at = previous[at]) {
+    splits.unshift(at);
+  }
+  return splits;
+}
+
+module.exports = {
+  detectChangePoints,
+  partition,
+  MIN_SEGMENT_BUCKETS
+};
@@ -0,0 +1,166 @@
+// Components of a monorepo, from the `components` section of config.json:
+//   "monorepo": { "paths": { "billing": ["services/billing/"], "search": ["services/search/**"] } }
+//   "platform": { "codeowners": true }
+// With `codeowners`, each distinct owner list in the repository's CODEOWNERS
+// file is a component. A PR counts for every component its files touch.
+function normalizeComponents(components = {}) {
+  const normalized = {};
+
+  for (const [repo, settings] of Object.entries(components)) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error(`Components for ${repo} must be an object with paths or codeowners`);
+    }
+    if (settings.codeowners && settings.paths) {
+      throw new Error(`Components for ${repo}: use either paths or codeowners, not both`);
+    }
+    if (!settings.codeowners && !settings.paths) {
+      throw new Error(`Components for ${repo} need paths or "codeowners": true`);
+    }
+
+    const paths = {};
+    for (const [component, patterns] of Object.entries(settings.paths || {})) {
+      const list = Array.isArray(patterns) ? patterns : [patterns];
+      if (list.length === 0 || list.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+        throw new Error(`Components for ${repo}: ${component} needs one or more path patterns`);
+      }
+      paths[component] = list.map(pattern => pattern.trim());
+    }
+
+    normalized[repo] = { codeowners: Boolean(settings.codeowners), paths };
+  }
+
+  return normalized;
+}
+
+// Maps changed file paths to component names
+class ComponentMapper {
+  constructor(source, rules) {
+    this.source = source;
+    this.rules = rules; // [{ regex, components }]
+  }
+
+  static fromPaths(paths) {
+    const rules = Object.entries(paths).flatMap(([component, patterns]) =>
+      patterns.map(pattern => ({ regex: compilePattern(pattern), components: [component] }))
+    );
+    return new ComponentMapper('paths', rules);
+  }
+
+  static fromCodeowners(text) {
+    return new ComponentMapper('codeowners', parseCodeowners(text));
+  }
+
+  // Configured globs: every matching component. CODEOWNERS: the last matching
+  // rule wins, as on GitHub, and a rule without owners leaves the file unowned.
+  componentsForPath(path) {
+    if (this.source === 'codeowners') {
+      for (let i = this.rules.length - 1; i >= 0; i--) {
+        if (this.rules[i].regex.test(path)) return this.rules[i].components;
+      }
+      return [];
+    }
+
+    return this.rules.filter(rule => rule.regex.test(path)).flatMap(rule => rule.components);
+  }
+
+  componentsForFiles(paths) {
+    return [...new Set(paths.flatMap(path => this.componentsForPath(path)))].sort();
+  }
+}
+
+// One rule per non-comment line: a pattern followed by its owners
+function parseCodeowners(text) {
+  const rules = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    rules.push({
+      pattern,
+      regex: compilePattern(pattern),
+      components: owners.length > 0 ? [owners.join(' ')] : []
+    });
+  }
+
+  return rules;
+}
+
+// CODEOWNERS/gitignore-style pattern to a RegExp over repository-relative paths.
+// Patterns without an inner slash match at any depth; a pattern matching a
+// directory matches everything below it, except "dir/*" which stays one level deep.
+function compilePattern(pattern) {
+  let body = pattern.replace(/^\//, '');
+  const anchored = pattern.startsWith('/') || body.replace(/\/$/, '').includes('/');
+  const directoryOnly = body.endsWith('/');
+  body = body.replace(/\/$/, '');
+
+  let regex = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '*' && body[i + 1] === '*') {
+      // "**/" is zero or more directories, any other "**" everything below
+      if (body[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchored ? '' : '(?:.*/)?';
+  let suffix = '(?:/.*)?';
+  if (directoryOnly) suffix = '/.*';
+  else if (/(^|\/)\*$/.test(body)) suffix = '';
+
+  return new RegExp(`^${prefix}${regex}${suffix}$`);
+}
+
+// Component results from PRs whose `components` field has been filled in.
+// PRs whose files could not be fetched (components === null) are left out.
+function summarizeComponents(source, currentPRs, previousPRs, metricsAnalyzer) {
+  const mapped = { current: currentPRs.filter(pr => pr.components), previous: previousPRs.filter(pr => pr.components) };
+  const names = [...new Set([...mapped.current, ...mapped.previous].flatMap(pr => pr.components))];
+
+  const components = names.map(component => ({
+    component,
+    ...metricsAnalyzer.compareSegment(
+      mapped.current.filter(pr => pr.components.includes(component)),
+      mapped.previous.filter(pr => pr.components.includes(component))
+    )
+  }));
+  components.sort((a, b) =>
+    (b.periods.current.prMetrics?.totalPRs || 0) - (a.periods.current.prMetrics?.totalPRs || 0) ||
+    a.component.localeCompare(b.component)
+  );
+
+  return {
+    source,
+    components,
+    unassignedPRs: {
+      current: mapped.current.filter(pr => pr.components.length === 0).length,
+      previous: mapped.previous.filter(pr => pr.components.length === 0).length
+    },
+    unmappedPRs: {
+      current: currentPRs.length - mapped.current.length,
+      previous: previousPRs.length - mapped.previous.length
+    }
+  };
+}
+
+module.exports = {
+  normalizeComponents,
+  ComponentMapper,
+  parseCodeowners,
+  compilePattern,
+  summarizeComponents
+};
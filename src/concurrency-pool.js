@@ -0,0 +1,41 @@
+class ConcurrencyPool {
+  constructor(limit = 1) {
+    this.limit = Math.max(1, limit);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  // Run a task once a slot is free; resolves with the task's result
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.limit && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+
+  // Map items through the pool, keeping results in input order
+  async map(items, fn) {
+    return Promise.all(items.map((item, index) => this.run(() => fn(item, index))));
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+}
+
+module.exports = ConcurrencyPool;
@@ -48,10 +48,91 @@ class ConfigManager {
         excludeArchived: true,
         excludeForks: true,
         minSize: 0
+      },
+      dora: {
+        enabled: false,
+        deploymentSource: 'releases', // deployments, releases or tags
+        environment: 'production', // For the deployments source
+        tagPattern: null, // Regex for release tags, for the tags source
+        failureLabels: ['hotfix'],
+        incidentLabels: ['incident'],
+        repositories: {} // Per-repository overrides, e.g. { "api": { "deploymentSource": "deployments" } }
+      },
+      workingCalendar: {
+        enabled: false,
+        timezone: 'UTC',
+        workingDays: [1, 2, 3, 4, 5], // 0 = Sunday
+        dayStart: '09:00',
+        dayEnd: '17:00',
+        holidays: [], // yyyy-MM-dd dates
+        holidaysFile: null // One yyyy-MM-dd date per line
+      },
+      series: {
+        bucketDays: 7 // Bucket size of the merged PR, cycle time, review time and commit series in each period
+      },
+      server: {
+        host: '127.0.0.1',
+        port: 3000,
+        summaryTtlMinutes: 60 // How long /api/repos/:repo/summary results are reused
+      },
+      daemon: {
+        stateFile: null, // Defaults to <outputDirectory>/daemon-state.json
+        retention: {
+          keepRuns: 20, // Report runs kept per schedule
+          maxAgeDays: 180
+        },
+        schedules: [] // e.g. { "name": "weekly", "every": "week", "day": "monday", "time": "09:00", "period": "weekly" }
+      },
+      notifications: {
+        reportBaseUrl: null, // Prefix for report links, e.g. where the output directory is served
+        webhooks: [] // { "name", "url" or "urlEnv", "template": generic|slack|teams, "on": completion|regression, "regressionThreshold" }
+      },
+      bots: {
+        mode: 'exclude', // exclude, segment (reported separately) or include
+        useDefaults: true, // Built-in rules for [bot] accounts, dependency updaters and release bots
+        authors: [], // Extra logins, "*" as wildcard, e.g. "deploy-*"
+        labels: [] // Extra labels marking automation PRs
+      },
+      aiUsage: {
+        useDefaults: true, // Built-in labels and Co-authored-by names of common AI coding tools
+        labels: [], // Extra labels marking AI-assisted PRs
+        coAuthors: [], // Extra names or emails matched in Co-authored-by trailers
+        bodyMarkers: [], // Text in the PR description, e.g. "Generated with"
+        adopters: {} // Login -> adoption date, e.g. { "alice": "2026-03-01" }
+      },
+      did: {
+        groupBy: 'repository', // repository or team
+        adoptions: {}, // Group -> adoption date, e.g. { "api": "2026-03-01" }; groups without one are controls
+        windowDays: 90, // Days compared before and after each adoption
+        iterations: 1000, // Bootstrap resamples for the confidence bounds
+        level: 95 // Confidence level in percent
+      },
+      components: {}, // Per repository, e.g. { "monorepo": { "paths": { "billing": ["services/billing/"] } } } or { "codeowners": true }
+      teams: {}, // e.g. { "platform": { "members": ["alice"], "repositories": ["api"], "githubTeam": "platform-eng" } }
+      gate: {
+        rules: [], // e.g. "reviewTime.median > 24" or { "metric", "operator", "threshold", "repositories" }
+        failOnError: true // A repository that fails to analyse fails the gate
       }
     };
 
-    return { ...defaults, ...config };
+    return {
+      ...defaults,
+      ...config,
+      dora: { ...defaults.dora, ...config.dora },
+      workingCalendar: { ...defaults.workingCalendar, ...config.workingCalendar },
+      series: { ...defaults.series, ...config.series },
+      server: { ...defaults.server, ...config.server },
+      daemon: {
+        ...defaults.daemon,
+        ...config.daemon,
+        retention: { ...defaults.daemon.retention, ...config.daemon?.retention }
+      },
+      notifications: { ...defaults.notifications, ...config.notifications },
+      bots: { ...defaults.bots, ...config.bots },
+      aiUsage: { ...defaults.aiUsage, ...config.aiUsage },
+      did: { ...defaults.did, ...config.did },
+      gate: { ...defaults.gate, ...config.gate }
+    };
   }
 
   saveConfig(config) {
@@ -84,6 +165,12 @@ class ConfigManager {
       errors.push('Invalid default period. Must be one of: weekly, monthly, quarterly, 6months, yearly');
     }
 
+    const sources = ['deployments', 'releases', 'tags'];
+    const doraSettings = [config.dora, ...Object.values(config.dora?.repositories || {})];
+    if (doraSettings.some(settings => settings?.deploymentSource && !sources.includes(settings.deploymentSource))) {
+      errors.push(`Invalid DORA deployment source. Must be one of: ${sources.join(', ')}`);
+    }
+
     return {
       isValid: errors.length === 0,
       errors
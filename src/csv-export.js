@@ -0,0 +1,139 @@
+const fs = require('fs');
+
+// Per-PR rows, one per merged PR and period
+const PULL_REQUEST_COLUMNS = [
+  { header: 'repository', get: pr => pr.repository },
+  { header: 'period', get: pr => pr.period },
+  { header: 'number', get: pr => pr.number },
+  { header: 'title', get: pr => pr.title },
+  { header: 'author', get: pr => pr.author },
+  { header: 'created_at', get: pr => toISOString(pr.createdAt) },
+  { header: 'merged_at', get: pr => toISOString(pr.mergedAt) },
+  { header: 'cycle_time_hours', get: pr => pr.cycleTimeHours },
+  { header: 'review_time_hours', get: pr => pr.reviewTimeHours },
+  { header: 'cycle_time_business_hours', get: pr => pr.cycleTimeBusinessHours },
+  { header: 'review_time_business_hours', get: pr => pr.reviewTimeBusinessHours },
+  { header: 'draft_hours', get: pr => pr.stages?.draftHours },
+  { header: 'wait_for_review_hours', get: pr => pr.stages?.waitForReviewHours },
+  { header: 'review_iteration_hours', get: pr => pr.stages?.reviewIterationHours },
+  { header: 'approval_to_merge_hours', get: pr => pr.stages?.approvalToMergeHours },
+  { header: 'review_iterations', get: pr => pr.stages?.reviewIterations },
+  { header: 'additions', get: pr => pr.prSize.additions },
+  { header: 'deletions', get: pr => pr.prSize.deletions },
+  { header: 'changed_files', get: pr => pr.prSize.changedFiles },
+  { header: 'total_changes', get: pr => pr.prSize.totalChanges },
+  { header: 'labels', get: pr => pr.labels.join(';') },
+  { header: 'is_revert', get: pr => pr.isRevert },
+  { header: 'bot_reason', get: pr => pr.botReason },
+  { header: 'ai_signals', get: pr => pr.aiSignals?.join(';') },
+  { header: 'teams', get: pr => pr.teams?.join(';') },
+  { header: 'components', get: pr => pr.components?.join(';') }
+];
+
+// Per-repository summary rows, one per repository and period
+const REPOSITORY_COLUMNS = [
+  { header: 'repository', get: row => row.repository },
+  { header: 'period', get: row => row.period },
+  { header: 'start', get: row => row.data?.start },
+  { header: 'end', get: row => row.data?.end },
+  { header: 'days', get: row => row.data?.days },
+  { header: 'total_prs', get: row => row.data ? (row.data.prMetrics?.totalPRs ?? 0) : null },
+  { header: 'cycle_time_avg_hours', get: row => row.data?.prMetrics?.cycleTime.avgHours },
+  { header: 'cycle_time_median_hours', get: row => row.data?.prMetrics?.cycleTime.medianHours },
+  { header: 'cycle_time_p95_hours', get: row => row.data?.prMetrics?.cycleTime.p95Hours },
+  { header: 'review_time_avg_hours', get: row => row.data?.prMetrics?.reviewTime.avgHours },
+  { header: 'review_time_median_hours', get: row => row.data?.prMetrics?.reviewTime.medianHours },
+  { header: 'review_time_p95_hours', get: row => row.data?.prMetrics?.reviewTime.p95Hours },
+  { header: 'pr_size_avg_changes', get: row => row.data?.prMetrics?.prSize.avgChanges },
+  { header: 'pr_size_median_changes', get: row => row.data?.prMetrics?.prSize.medianChanges },
+  { header: 'pr_size_p95_changes', get: row => row.data?.prMetrics?.prSize.p95Changes },
+  { header: 'wait_for_review_median_hours', get: row => row.data?.prMetrics?.stages?.waitForReview.medianHours },
+  { header: 'approval_to_merge_median_hours', get: row => row.data?.prMetrics?.stages?.approvalToMerge.medianHours },
+  { header: 'commits_per_day', get: row => row.data?.commitFrequency?.avgCommitsPerDay },
+  { header: 'bot_prs', get: row => row.bots?.pullRequests[row.period] },
+  { header: 'overall_improvement_percent', get: row => row.period === 'current' ? row.comparison?.overallImprovement : null },
+  { header: 'error', get: row => row.error }
+];
+
+// Per-team summary rows, one per team and period
+const TEAM_COLUMNS = [
+  { header: 'team', get: row => row.team.team },
+  { header: 'period', get: row => row.period },
+  { header: 'members', get: row => row.team.members.length },
+  { header: 'total_prs', get: row => row.data?.totalPRs ?? 0 },
+  { header: 'cycle_time_avg_hours', get: row => row.data?.cycleTime.avgHours },
+  { header: 'cycle_time_median_hours', get: row => row.data?.cycleTime.medianHours },
+  { header: 'cycle_time_p95_hours', get: row => row.data?.cycleTime.p95Hours },
+  { header: 'review_time_avg_hours', get: row => row.data?.reviewTime.avgHours },
+  { header: 'review_time_median_hours', get: row => row.data?.reviewTime.medianHours },
+  { header: 'review_time_p95_hours', get: row => row.data?.reviewTime.p95Hours },
+  { header: 'pr_size_avg_changes', get: row => row.data?.prSize.avgChanges },
+  { header: 'pr_size_median_changes', get: row => row.data?.prSize.medianChanges },
+  { header: 'pr_size_p95_changes', get: row => row.data?.prSize.p95Changes },
+  { header: 'overall_improvement_percent', get: row => row.period === 'current' && row.data && row.team.periods.previous.prMetrics ? row.team.comparison.overallImprovement : null }
+];
+
+// Write `<basename>-prs.csv` and `<basename>-repositories.csv`, plus
+// `<basename>-teams.csv` when the report has teams; returns the paths
+function exportCsv(report, pullRequests, basename) {
+  const pullRequestFile = `${basename}-prs.csv`;
+  const repositoryFile = `${basename}-repositories.csv`;
+  const teamFile = report.teams?.length > 0 ? `${basename}-teams.csv` : null;
+
+  const repositoryRows = [];
+  for (const result of report.repositories) {
+    if (result.error) {
+      repositoryRows.push({ repository: result.repository, period: null, error: result.error });
+      continue;
+    }
+    for (const period of ['current', 'previous']) {
+      repositoryRows.push({
+        repository: result.repository,
+        period,
+        data: result.periods[period],
+        comparison: result.comparison,
+        bots: result.bots
+      });
+    }
+  }
+
+  fs.writeFileSync(pullRequestFile, toCsv(PULL_REQUEST_COLUMNS, pullRequests));
+  fs.writeFileSync(repositoryFile, toCsv(REPOSITORY_COLUMNS, repositoryRows));
+
+  if (teamFile) {
+    const teamRows = report.teams.flatMap(team => ['current', 'previous'].map(period => ({
+      team,
+      period,
+      data: team.periods[period].prMetrics
+    })));
+    fs.writeFileSync(teamFile, toCsv(TEAM_COLUMNS, teamRows));
+  }
+
+  return { pullRequestFile, repositoryFile, teamFile };
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => column.header).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsv(column.get(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// RFC 4180 quoting; null and undefined become empty cells. Text that a
+// spreadsheet would run as a formula (PR titles, labels, ...) gets a leading
+// quote; numbers are left alone so negative values stay numeric.
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toISOString(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+module.exports = { exportCsv, toCsv, escapeCsv };
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const { addDays, format, getDaysInMonth } = require('date-fns');
+const AIDeliveryAnalyzer = require('./index');
+const GitHubClient = require('./github-client');
+const ConfigManager = require('./config-manager');
+const { saveReport } = require('./report-output');
+const { Notifier } = require('./notifier');
+const { parseFormats, RENDERERS } = require('./renderers');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_TIMER_MS = 60 * 60 * 1000; // Re-check at least hourly so clock changes don't drift runs
+
+// Runs the schedules from the `daemon` section of config.json, one at a time so
+// they share a single rate limiter. Times are in the machine's local timezone.
+class AnalysisDaemon {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.schedules = this.config.daemon.schedules.map(schedule => normalizeSchedule(schedule, this.config));
+    const names = this.schedules.map(schedule => schedule.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Duplicate schedule name "${duplicate}"`);
+    }
+    this.statePath = options.statePath || this.config.daemon.stateFile ||
+      path.join(this.config.outputDirectory, 'daemon-state.json');
+    this.githubClient = options.githubClient || new GitHubClient();
+    this.notifier = Notifier.fromConfig(this.config);
+    this.state = loadState(this.statePath);
+    this.timer = null;
+    this.running = null;
+    this.stopping = false;
+  }
+
+  start(options = {}) {
+    for (const schedule of this.schedules) {
+      // A run that was in progress when the previous daemon stopped never finished
+      this.updateState(schedule.name, { running: false, nextRunAt: nextRunAt(schedule, new Date()).toISOString() });
+    }
+
+    if (options.runNow) {
+      this.running = this.runAll(this.schedules).finally(() => {
+        this.running = null;
+        this.scheduleNext();
+      });
+    } else {
+      this.scheduleNext();
+    }
+  }
+
+  async stop() {
+    this.stopping = true;
+    clearTimeout(this.timer);
+    if (this.running) await this.running;
+  }
+
+  scheduleNext() {
+    if (this.stopping) return;
+
+    const now = Date.now();
+    const due = this.schedules.filter(schedule => new Date(this.state.schedules[schedule.name].nextRunAt) <= now);
+    if (due.length > 0) {
+      this.running = this.runAll(due).finally(() => {
+        this.running = null;
+        this.scheduleNext();
+      });
+      return;
+    }
+
+    const next = Math.min(...this.schedules.map(schedule => new Date(this.state.schedules[schedule.name].nextRunAt)));
+    this.timer = setTimeout(() => this.scheduleNext(), Math.min(Math.max(0, next - now), MAX_TIMER_MS));
+  }
+
+  async runAll(schedules) {
+    for (const schedule of schedules) {
+      if (this.stopping) return;
+      await this.runSchedule(schedule);
+      this.updateState(schedule.name, { nextRunAt: nextRunAt(schedule, new Date()).toISOString() });
+    }
+  }
+
+  async runSchedule(schedule) {
+    const startedAt = new Date();
+    console.log(`\n⏰ Running schedule "${schedule.name}" (${schedule.period})`);
+    this.updateState(schedule.name, { running: true, lastRunAt: startedAt.toISOString() });
+
+    try {
+      const repositories = schedule.discover
+        ? (await this.githubClient.listRepositories(this.config.organization, {
+          excludeArchived: this.config.repositoryFilters.excludeArchived,
+          excludeForks: this.config.repositoryFilters.excludeForks,
+          minSize: this.config.repositoryFilters.minSize
+        })).map(repo => repo.name)
+        : schedule.repositories;
+
+      const analyzer = AIDeliveryAnalyzer.fromConfig(this.config, {
+        githubClient: this.githubClient,
+        repositories,
+        period: schedule.period
+      });
+      const report = await analyzer.generateReport();
+
+      const failed = report.repositories.filter(result => result.error).map(result => result.repository);
+      if (failed.length === report.repositories.length) {
+        throw new Error(`All ${failed.length} repositories failed: ${report.repositories[0]?.error || 'no repositories'}`);
+      }
+
+      const { jsonFile, files } = saveReport(report, {
+        outputDir: schedule.outputDirectory,
+        formats: schedule.formats,
+        textfileCollector: schedule.textfileCollector,
+        pullRequests: schedule.exportCsv ? analyzer.pullRequests : null
+      });
+      const removed = applyRetention(schedule.outputDirectory, schedule.retention);
+      if (schedule.notify) {
+        await this.notifier.notify(report, files);
+      }
+
+      const previous = this.state.schedules[schedule.name];
+      this.updateState(schedule.name, {
+        running: false,
+        lastStatus: 'success',
+        lastSuccessAt: new Date().toISOString(),
+        lastDurationSeconds: Math.round((Date.now() - startedAt) / 1000),
+        lastReportFile: jsonFile || files[0] || null,
+        lastFailedRepositories: failed,
+        consecutiveFailures: 0,
+        totalRuns: (previous.totalRuns || 0) + 1
+      });
+      console.log(`✅ Schedule "${schedule.name}" finished${removed > 0 ? `, removed ${removed} old report files` : ''}`);
+    } catch (error) {
+      const previous = this.state.schedules[schedule.name];
+      this.updateState(schedule.name, {
+        running: false,
+        lastStatus: 'failure',
+        lastFailureAt: new Date().toISOString(),
+        lastDurationSeconds: Math.round((Date.now() - startedAt) / 1000),
+        lastError: error.message,
+        consecutiveFailures: (previous.consecutiveFailures || 0) + 1,
+        totalRuns: (previous.totalRuns || 0) + 1
+      });
+      console.error(`❌ Schedule "${schedule.name}" failed: ${error.message}`);
+    }
+  }
+
+  // Merge fields into a schedule's state and persist the whole state file
+  updateState(name, fields) {
+    this.state.schedules[name] = { ...this.state.schedules[name], ...fields };
+    this.state.updatedAt = new Date().toISOString();
+    this.state.pid = process.pid;
+
+    const directory = path.dirname(this.statePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+    const tempFile = `${this.statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempFile, this.statePath);
+  }
+}
+
+// Fill in schedule defaults and reject anything the scheduler can't run
+function normalizeSchedule(schedule, config) {
+  const name = schedule.name;
+  if (!name || !/^[\w.-]+$/.test(name)) {
+    throw new Error(`Schedule name "${name}" must be letters, digits, ".", "_" or "-"`);
+  }
+
+  const every = schedule.every || 'week';
+  if (!['day', 'week', 'month'].includes(every)) {
+    throw new Error(`Schedule "${name}": every must be day, week or month`);
+  }
+
+  const time = schedule.time || '09:00';
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    throw new Error(`Schedule "${name}": invalid time "${time}", expected HH:mm`);
+  }
+
+  const weekday = WEEKDAYS.indexOf((schedule.day || 'monday').toLowerCase());
+  if (every === 'week' && weekday === -1) {
+    throw new Error(`Schedule "${name}": invalid day "${schedule.day}"`);
+  }
+
+  const dayOfMonth = schedule.dayOfMonth || 1;
+  if (every === 'month' && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+    throw new Error(`Schedule "${name}": dayOfMonth must be between 1 and 31`);
+  }
+
+  const period = schedule.period || config.defaultPeriod;
+  if (!AIDeliveryAnalyzer.getDateRangePresets()[period]) {
+    throw new Error(`Schedule "${name}": invalid period "${period}"`);
+  }
+
+  const formats = parseFormats(schedule.formats || ['json']);
+  const unknownFormats = formats.filter(format => !RENDERERS[format]);
+  if (unknownFormats.length > 0) {
+    throw new Error(`Schedule "${name}": invalid format ${unknownFormats.join(', ')}`);
+  }
+
+  const repositories = schedule.repositories || config.repositories;
+  if (!schedule.discover && repositories.length === 0) {
+    throw new Error(`Schedule "${name}": no repositories (set repositories or "discover": true)`);
+  }
+
+  return {
+    name,
+    every,
+    hour: parseInt(match[1]),
+    minute: parseInt(match[2]),
+    weekday,
+    dayOfMonth,
+    period,
+    formats,
+    repositories,
+    discover: Boolean(schedule.discover),
+    textfileCollector: schedule.textfileCollector || null,
+    exportCsv: Boolean(schedule.exportCsv),
+    notify: schedule.notify !== false,
+    outputDirectory: schedule.outputDirectory || path.join(config.outputDirectory, name),
+    retention: { ...config.daemon.retention, ...schedule.retention }
+  };
+}
+
+// First run time strictly after `from`. Monthly runs on days past the end of a
+// month (e.g. the 31st) fall on that month's last day.
+function nextRunAt(schedule, from) {
+  for (let offset = 0; offset <= 366; offset++) {
+    const day = addDays(from, offset);
+    const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), schedule.hour, schedule.minute);
+    if (candidate <= from) continue;
+
+    if (schedule.every === 'day') return candidate;
+    if (schedule.every === 'week' && candidate.getDay() === schedule.weekday) return candidate;
+    if (schedule.every === 'month' && candidate.getDate() === Math.min(schedule.dayOfMonth, getDaysInMonth(candidate))) {
+      return candidate;
+    }
+  }
+  throw new Error('Could not find the next run time');
+}
+
+// Delete report runs beyond `keepRuns` and runs older than `maxAgeDays`. Files
+// of one run share the ai-delivery-analysis-<timestamp> prefix (older reports
+// have no seconds in it); the history is kept.
+function applyRetention(directory, retention = {}) {
+  if (!fs.existsSync(directory)) return 0;
+
+  const runs = new Map();
+  for (const file of fs.readdirSync(directory)) {
+    const match = /^ai-delivery-analysis-(\d{4}-\d{2}-\d{2}-\d{2}-\d{2}(?:-\d{2})?)/.exec(file);
+    if (!match) continue;
+    if (!runs.has(match[1])) runs.set(match[1], []);
+    runs.get(match[1]).push(file);
+  }
+
+  const timestamps = [...runs.keys()].sort().reverse();
+  const cutoff = retention.maxAgeDays ? format(addDays(new Date(), -retention.maxAgeDays), 'yyyy-MM-dd-HH-mm-ss') : null;
+
+  let removed = 0;
+  timestamps.forEach((timestamp, index) => {
+    const tooMany = retention.keepRuns && index >= retention.keepRuns;
+    const tooOld = cutoff && timestamp < cutoff;
+    if (!tooMany && !tooOld) return;
+
+    for (const file of runs.get(timestamp)) {
+      fs.unlinkSync(path.join(directory, file));
+      removed++;
+    }
+  });
+
+  return removed;
+}
+
+function loadState(statePath) {
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return { schedules: {}, ...state };
+  } catch {
+    return { schedules: {} };
+  }
+}
+
+function printStatus(config, statePath, options = {}) {
+  const state = loadState(statePath);
+
+  if (options.json) {
+    console.log(JSON.stringify(state, null, 2));
+    return state;
+  }
+
+  const names = config.daemon.schedules.map(schedule => schedule.name);
+  console.log(`📋 Daemon state from ${statePath}${state.updatedAt ? ` (updated ${state.updatedAt})` : ''}`);
+  if (names.length === 0) {
+    console.log('  No schedules configured in config.json');
+  }
+
+  for (const name of names) {
+    const entry = state.schedules[name];
+    if (!entry) {
+      console.log(`\n⏸️  ${name}: never run`);
+      continue;
+    }
+
+    const icon = entry.running ? '🔄' : (entry.lastStatus === 'failure' ? '❌' : (entry.lastStatus === 'success' ? '✅' : '⏸️ '));
+    console.log(`\n${icon} ${name}: ${entry.running ? 'running' : (entry.lastStatus || 'never run')}`);
+    console.log(`  Next run:     ${entry.nextRunAt || '-'}`);
+    console.log(`  Last success: ${entry.lastSuccessAt || '-'}${entry.lastReportFile ? ` (${entry.lastReportFile})` : ''}`);
+    console.log(`  Last failure: ${entry.lastFailureAt || '-'}${entry.lastError ? ` (${entry.lastError})` : ''}`);
+    if (entry.consecutiveFailures > 0) {
+      console.log(`  ⚠️  ${entry.consecutiveFailures} consecutive failures`);
+    }
+    if (entry.lastFailedRepositories?.length > 0) {
+      console.log(`  ⚠️  Repositories that failed in the last run: ${entry.lastFailedRepositories.join(', ')}`);
+    }
+  }
+
+  return state;
+}
+
+async function runDaemon(options) {
+  const config = new ConfigManager().loadConfig();
+  const statePath = options.stateFile || config.daemon.stateFile || path.join(config.outputDirectory, 'daemon-state.json');
+
+  if (options.status) {
+    const state = printStatus(config, statePath, options);
+    // Non-zero when any schedule's latest run failed, for health checks
+    if (Object.values(state.schedules).some(entry => entry.lastStatus === 'failure')) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (!process.env.GITHUB_TOKEN) {
+    console.error('❌ GITHUB_TOKEN environment variable is required');
+    console.log('💡 Create a .env file with: GITHUB_TOKEN=your_token_here');
+    process.exit(1);
+  }
+  if (!config.organization) {
+    console.error('❌ Organization name is required in config.json');
+    process.exit(1);
+  }
+  if (config.daemon.schedules.length === 0) {
+    console.error('❌ No schedules configured');
+    console.log('💡 Add schedules to the "daemon" section of config.json (see config.example.json)');
+    process.exit(1);
+  }
+
+  let daemon;
+  try {
+    daemon = new AnalysisDaemon({ config, statePath });
+  } catch (error) {
+    console.error(`❌ Invalid daemon configuration: ${error.message}`);
+    process.exit(1);
+  }
+
+  daemon.start({ runNow: options.runNow });
+
+  console.log(`🕰️  Daemon started with ${daemon.schedules.length} schedules (state: ${statePath})`);
+  for (const schedule of daemon.schedules) {
+    console.log(`  ${schedule.name}: ${schedule.period} report, next run ${daemon.state.schedules[schedule.name].nextRunAt}`);
+  }
+
+  const shutdown = async signal => {
+    console.log(`\n🛑 Received ${signal}, finishing the current run before exiting...`);
+    await daemon.stop();
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  return daemon;
+}
+
+module.exports = { AnalysisDaemon, runDaemon, nextRunAt, applyRetention, normalizeSchedule };
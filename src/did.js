@@ -0,0 +1,376 @@
+const fs = require('fs');
+const { parseISO, isValid, startOfDay, addDays, subDays, format, differenceInCalendarDays } = require('date-fns');
+const ConfigManager = require('./config-manager');
+const { syncTeamMembers, teamsForPullRequest } = require('./teams');
+const { createRandom } = require('./statistics');
+
+const GROUP_BY = ['repository', 'team'];
+
+// Post windows shorter than this are too noisy to report
+const MIN_WINDOW_DAYS = 7;
+
+const METRICS = [
+  { key: 'cycleTime', label: 'Cycle Time (Hours)', unit: 'h', lowerIsBetter: true },
+  { key: 'reviewTime', label: 'Review Time (Hours)', unit: 'h', lowerIsBetter: true },
+  { key: 'throughput', label: 'Throughput (PRs/Week)', unit: ' PRs/wk', lowerIsBetter: false }
+];
+
+// Settings from the `did` section of config.json:
+//   "did": { "groupBy": "team", "adoptions": { "platform": "2026-03-01" }, "windowDays": 90 }
+// Groups without an adoption date never adopted and always serve as controls.
+function normalizeDid(did = {}, groupBy = did.groupBy || 'repository') {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`Invalid groupBy "${groupBy}" (${GROUP_BY.join(', ')})`);
+  }
+
+  const windowDays = did.windowDays === undefined ? 90 : did.windowDays;
+  if (!Number.isInteger(windowDays) || windowDays < MIN_WINDOW_DAYS || windowDays > 365) {
+    throw new Error(`windowDays must be a whole number between ${MIN_WINDOW_DAYS} and 365`);
+  }
+
+  const adoptions = Object.entries(did.adoptions || {}).map(([group, date]) => {
+    const adoptedAt = parseISO(date);
+    if (typeof date !== 'string' || !isValid(adoptedAt)) {
+      throw new Error(`Invalid adoption date for ${group}: ${date}`);
+    }
+    return { group, date, adoptedAt: startOfDay(adoptedAt) };
+  });
+  if (adoptions.length === 0) {
+    throw new Error('No adoption dates configured');
+  }
+
+  return {
+    groupBy,
+    windowDays,
+    adoptions,
+    iterations: did.iterations || 1000,
+    level: did.level || 95
+  };
+}
+
+// One adoption event per group that adopted in the past, with equal windows on
+// both sides of the adoption date (shorter when the adoption is recent, as with
+// --rollout-date). Controls are the groups that had not adopted by the end of
+// the post window, including groups that never adopted.
+function planEvents(settings, groups, now = new Date()) {
+  const adoptionDates = new Map(settings.adoptions.map(adoption => [adoption.group, adoption.adoptedAt]));
+
+  return settings.adoptions
+    .filter(adoption => adoption.adoptedAt < now)
+    .sort((a, b) => a.adoptedAt - b.adoptedAt)
+    .map(adoption => {
+      const windowDays = Math.min(settings.windowDays, differenceInCalendarDays(now, adoption.adoptedAt));
+      const before = { start: subDays(adoption.adoptedAt, windowDays), end: adoption.adoptedAt };
+      const after = { start: adoption.adoptedAt, end: addDays(adoption.adoptedAt, windowDays) };
+      const controls = groups.filter(group => {
+        const adoptedAt = adoptionDates.get(group);
+        return group !== adoption.group && (!adoptedAt || adoptedAt >= after.end);
+      });
+
+      return { ...adoption, windowDays, before, after, controls };
+    });
+}
+
+// Difference-in-differences estimates for each adoption event and pooled over
+// all events. `prs` are per-PR metrics with a `groups` list each.
+function estimateDid(settings, events, prs, metricsAnalyzer) {
+  const random = createRandom();
+  const results = events.map(event => estimateEvent(event, prs, settings, metricsAnalyzer, random));
+  const estimated = results.filter(result => !result.skipped);
+
+  return {
+    groupBy: settings.groupBy,
+    windowDays: settings.windowDays,
+    level: settings.level,
+    events: results,
+    overall: estimated.length > 0 ? poolEvents(estimated, settings) : null
+  };
+}
+
+function estimateEvent(event, prs, settings, metricsAnalyzer, random) {
+  const inRange = (pr, range) => pr.mergedAt >= range.start && pr.mergedAt < range.end;
+  const treated = prs.filter(pr => pr.groups.includes(event.group));
+  // A PR of both the treated group and a control (e.g. shared team members) only counts as treated
+  const control = prs.filter(pr => !pr.groups.includes(event.group) && pr.groups.some(group => event.controls.includes(group)));
+
+  const cells = {
+    treatedBefore: treated.filter(pr => inRange(pr, event.before)),
+    treatedAfter: treated.filter(pr => inRange(pr, event.after)),
+    controlBefore: control.filter(pr => inRange(pr, event.before)),
+    controlAfter: control.filter(pr => inRange(pr, event.after))
+  };
+
+  const result = {
+    group: event.group,
+    adoptionDate: event.date,
+    windowDays: event.windowDays,
+    before: { start: format(event.before.start, 'yyyy-MM-dd'), end: format(event.before.end, 'yyyy-MM-dd') },
+    after: { start: format(event.after.start, 'yyyy-MM-dd'), end: format(event.after.end, 'yyyy-MM-dd') },
+    controls: event.controls,
+    pullRequests: Object.fromEntries(Object.entries(cells).map(([cell, list]) => [cell, list.length]))
+  };
+
+  if (event.windowDays < MIN_WINDOW_DAYS) {
+    return { ...result, skipped: `only ${event.windowDays} days since adoption` };
+  }
+  if (event.controls.length === 0) {
+    return { ...result, skipped: 'no not-yet-adopted control group' };
+  }
+  const empty = Object.entries(cells).filter(([, list]) => list.length === 0).map(([cell]) => cell);
+  if (empty.length > 0) {
+    return { ...result, skipped: `no merged PRs in ${empty.join(', ')}` };
+  }
+
+  // Throughput is PRs per week per group, so the pooled controls are divided by their count.
+  // Only whole weeks count: a trailing partial week would read as a drop in throughput.
+  const weeks = Math.floor(event.windowDays / 7);
+  const weekly = (list, range, groupCount) => {
+    const counts = new Array(weeks).fill(0);
+    for (const pr of list) {
+      const week = Math.floor((pr.mergedAt - range.start) / (7 * 24 * 60 * 60 * 1000));
+      if (week < weeks) counts[week]++;
+    }
+    return counts.map(count => count / groupCount);
+  };
+
+  const samples = {
+    // PRs merged without an approval have no review time and are left out, as in calculateMetricsSummary
+    cycleTime: mapCells(cells, list => list.filter(pr => pr.cycleTimeHours !== null).map(pr => pr.cycleTimeHours), metricsAnalyzer.median.bind(metricsAnalyzer)),
+    reviewTime: mapCells(cells, list => list.filter(pr => pr.reviewTimeHours !== null).map(pr => pr.reviewTimeHours), metricsAnalyzer.median.bind(metricsAnalyzer)),
+    throughput: {
+      ...mapCells(
+        { treatedBefore: cells.treatedBefore, treatedAfter: cells.treatedAfter },
+        (list, cell) => weekly(list, cell === 'treatedBefore' ? event.before : event.after, 1),
+        metricsAnalyzer.average.bind(metricsAnalyzer)
+      ),
+      ...mapCells(
+        { controlBefore: cells.controlBefore, controlAfter: cells.controlAfter },
+        (list, cell) => weekly(list, cell === 'controlBefore' ? event.before : event.after, event.controls.length),
+        metricsAnalyzer.average.bind(metricsAnalyzer)
+      )
+    }
+  };
+
+  const metrics = {};
+  for (const metric of METRICS) {
+    metrics[metric.key] = estimateMetric(samples[metric.key], metric, settings, random);
+  }
+
+  return { ...result, weight: cells.treatedBefore.length + cells.treatedAfter.length, metrics };
+}
+
+// { cell: { values, statistic } } for the four cells of an event
+function mapCells(cells, toValues, statistic) {
+  return Object.fromEntries(Object.entries(cells).map(([cell, list]) => [cell, { values: toValues(list, cell), statistic }]));
+}
+
+// (treated after - treated before) - (control after - control before), with a
+// percentile bootstrap interval from resampling every cell independently.
+// Cycle and review time compare medians over PRs, throughput means over weeks.
+// A metric with no values in one of the cells is not estimable for the event.
+function estimateMetric(cells, metric, settings, random) {
+  const empty = Object.entries(cells).filter(([, { values }]) => values.length === 0).map(([cell]) => cell);
+  if (empty.length > 0) {
+    return { notEstimable: `no values in ${empty.join(', ')}` };
+  }
+
+  const effectOf = values => (values.treatedAfter - values.treatedBefore) - (values.controlAfter - values.controlBefore);
+  const point = Object.fromEntries(Object.entries(cells).map(([cell, { values, statistic }]) => [cell, statistic(values)]));
+
+  const draws = [];
+  for (let i = 0; i < settings.iterations; i++) {
+    const resampled = {};
+    for (const [cell, { values, statistic }] of Object.entries(cells)) {
+      resampled[cell] = statistic(Array.from(values, () => values[Math.floor(random() * values.length)]));
+    }
+    draws.push(effectOf(resampled));
+  }
+
+  return describeEffect(effectOf(point), point.treatedBefore, draws, metric, settings.level);
+}
+
+// Events pooled by the number of treated PRs; each bootstrap draw is pooled with
+// the same weights so the interval reflects the uncertainty of every event.
+// Each metric pools only the events where it was estimable.
+function poolEvents(events, settings) {
+  const totalWeight = events.reduce((sum, event) => sum + event.weight, 0);
+
+  const metrics = {};
+  for (const metric of METRICS) {
+    const estimable = events.filter(event => !event.metrics[metric.key].notEstimable);
+    if (estimable.length === 0) {
+      metrics[metric.key] = { notEstimable: 'not estimable for any adoption event' };
+      continue;
+    }
+
+    const weight = estimable.reduce((sum, event) => sum + event.weight, 0);
+    const pool = values => estimable.reduce((sum, event) => sum + values(event.metrics[metric.key]) * event.weight, 0) / weight;
+    const draws = Array.from({ length: settings.iterations }, (_, i) => pool(result => result.draws[i]));
+    metrics[metric.key] = describeEffect(pool(result => result.effect), pool(result => result.baseline), draws, metric, settings.level);
+  }
+
+  return {
+    events: events.length,
+    pullRequests: totalWeight,
+    metrics
+  };
+}
+
+function describeEffect(effect, baseline, draws, metric, level) {
+  const sorted = draws.slice().sort((a, b) => a - b);
+  const tail = (100 - level) / 2 / 100;
+  const at = q => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * sorted.length)))];
+  const lower = at(tail);
+  const upper = at(1 - tail);
+  const significant = lower > 0 || upper < 0;
+
+  return {
+    effect,
+    baseline,
+    percentChange: baseline ? (effect / baseline) * 100 : null,
+    confidenceInterval: { level, lower, upper },
+    isSignificant: significant,
+    isImprovement: significant ? (metric.lowerIsBetter ? effect < 0 : effect > 0) : null,
+    draws
+  };
+}
+
+async function runDid(options) {
+  const AIDeliveryAnalyzer = require('./index');
+  const config = new ConfigManager().loadConfig();
+
+  if (!process.env.GITHUB_TOKEN) {
+    console.error('❌ GITHUB_TOKEN environment variable is required');
+    process.exit(1);
+  }
+
+  let settings;
+  try {
+    const windowDays = options.windowDays !== undefined ? parseInt(options.windowDays) : config.did.windowDays;
+    settings = normalizeDid({ ...config.did, windowDays }, options.groupBy || config.did.groupBy);
+  } catch (error) {
+    console.error(`❌ Invalid did config: ${error.message}`);
+    console.log('💡 Add adoption dates to the "did" section of config.json, e.g. { "adoptions": { "repo1": "2026-03-01" } }');
+    process.exit(1);
+  }
+
+  const repositories = options.repos ? options.repos.split(',').map(r => r.trim()) : config.repositories;
+  let analyzer;
+  try {
+    analyzer = AIDeliveryAnalyzer.fromConfig(config, { repositories });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (!analyzer.organization || repositories.length === 0) {
+    console.error('❌ An organization and at least one repository are required');
+    process.exit(1);
+  }
+
+  let teams = [];
+  let groups = repositories;
+  if (settings.groupBy === 'team') {
+    teams = await syncTeamMembers(analyzer.teams, analyzer.githubClient, analyzer.organization);
+    groups = teams.map(team => team.name);
+  }
+
+  const unknown = settings.adoptions.filter(adoption => !groups.includes(adoption.group));
+  if (unknown.length > 0) {
+    console.warn(`⚠️  Ignoring adoption dates for unknown ${settings.groupBy === 'team' ? 'teams' : 'repositories'}: ${unknown.map(adoption => adoption.group).join(', ')}`);
+    settings.adoptions = settings.adoptions.filter(adoption => groups.includes(adoption.group));
+  }
+
+  const events = planEvents(settings, groups);
+  if (events.length === 0) {
+    console.error(`❌ No configured ${settings.groupBy} adopted before today, nothing to estimate`);
+    process.exit(1);
+  }
+
+  // Every PR of the analysed repositories from the earliest pre window to the latest post window
+  const span = {
+    start: new Date(Math.min(...events.map(event => event.before.start))),
+    end: new Date(Math.min(Date.now(), Math.max(...events.map(event => event.after.end))))
+  };
+  console.log(`🧮 Difference-in-differences by ${settings.groupBy} for ${events.length} adoption events, PRs merged ${format(span.start, 'yyyy-MM-dd')} to ${format(span.end, 'yyyy-MM-dd')}`);
+
+  const prs = [];
+  for (const repo of repositories) {
+    try {
+      prs.push(...await analyzer.collectPullRequests(repo, span));
+    } catch (error) {
+      console.error(`❌ Error analyzing ${repo}:`, error.message);
+      process.exit(1);
+    }
+  }
+  for (const pr of prs) {
+    pr.groups = settings.groupBy === 'team' ? teamsForPullRequest(pr, teams) : [pr.repository];
+  }
+
+  const result = estimateDid(settings, events, prs, analyzer.analyzer);
+  printDid(result);
+
+  if (options.output) {
+    // Bootstrap draws are only needed for pooling
+    fs.writeFileSync(options.output, JSON.stringify(result, (key, value) => (key === 'draws' ? undefined : value), 2));
+    console.log(`\n💾 Estimates saved to: ${options.output}`);
+  }
+  return result;
+}
+
+function printDid(result) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🧮 DIFFERENCE-IN-DIFFERENCES: AI ADOPTION EFFECT');
+  console.log('='.repeat(60));
+  console.log(`Groups: ${result.groupBy === 'team' ? 'teams' : 'repositories'}, up to ${result.windowDays} days before and after each adoption`);
+  console.log('Controls: groups that had not adopted yet by the end of each window');
+  console.log('Effect: change in adopting group minus change in controls');
+
+  for (const event of result.events) {
+    console.log(`\n📂 ${event.group} adopted ${event.adoptionDate} (${event.before.start} → ${event.after.end})`);
+    if (event.controls.length > 0) {
+      console.log(`  Controls: ${event.controls.join(', ')}`);
+    }
+    const counts = event.pullRequests;
+    console.log(`  PRs: ${counts.treatedBefore} → ${counts.treatedAfter}, controls ${counts.controlBefore} → ${counts.controlAfter}`);
+
+    if (event.skipped) {
+      console.log(`  ⚠️  Skipped: ${event.skipped}`);
+      continue;
+    }
+    printEffects(event.metrics);
+  }
+
+  if (result.overall) {
+    console.log(`\n🎯 Overall (${result.overall.events} adoption event${result.overall.events === 1 ? '' : 's'}, weighted by ${result.overall.pullRequests} adopting-group PRs)`);
+    printEffects(result.overall.metrics);
+  } else {
+    console.log('\n⚠️  No adoption event could be estimated');
+  }
+}
+
+function printEffects(metrics) {
+  for (const metric of METRICS) {
+    const estimate = metrics[metric.key];
+    if (estimate.notEstimable) {
+      console.log(`  ${metric.label}: not estimable (${estimate.notEstimable})`);
+      continue;
+    }
+
+    const ci = estimate.confidenceInterval;
+    const sign = value => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+    const percent = estimate.percentChange !== null ? ` (${sign(estimate.percentChange)}%)` : '';
+    const verdict = estimate.isSignificant
+      ? (estimate.isImprovement ? '✅ improvement' : '⚠️  regression')
+      : 'not significant';
+
+    console.log(`  ${metric.label}: ${sign(estimate.effect)}${metric.unit}${percent} [${ci.level}% CI ${sign(ci.lower)}..${sign(ci.upper)}] ${verdict}`);
+  }
+}
+
+module.exports = {
+  normalizeDid,
+  planEvents,
+  estimateDid,
+  runDid,
+  GROUP_BY
+};
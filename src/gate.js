@@ -0,0 +1,244 @@
+const fs = require('fs');
+
+// Exit code for gate violations; 1 stays reserved for errors
+const GATE_EXIT_CODE = 2;
+
+const current = result => result.periods?.current;
+const summaryOf = result => current(result)?.prMetrics;
+// Percent the metric got worse: the negated improvement from comparePeriors
+const regression = comparison => comparison && comparison.improvement !== null ? -comparison.improvement : null;
+
+// Metrics rules can refer to. Values are for the current period unless the
+// name ends in .regression, which is the percent change for the worse.
+const GATE_METRICS = {
+  'cycleTime.avg': { unit: 'h', get: r => summaryOf(r)?.cycleTime.avgHours },
+  'cycleTime.median': { unit: 'h', get: r => summaryOf(r)?.cycleTime.medianHours },
+  'cycleTime.p95': { unit: 'h', get: r => summaryOf(r)?.cycleTime.p95Hours },
+  'reviewTime.avg': { unit: 'h', get: r => summaryOf(r)?.reviewTime.avgHours },
+  'reviewTime.median': { unit: 'h', get: r => summaryOf(r)?.reviewTime.medianHours },
+  'reviewTime.p95': { unit: 'h', get: r => summaryOf(r)?.reviewTime.p95Hours },
+  'prSize.avg': { unit: '', get: r => summaryOf(r)?.prSize.avgChanges },
+  'prSize.median': { unit: '', get: r => summaryOf(r)?.prSize.medianChanges },
+  'prSize.p95': { unit: '', get: r => summaryOf(r)?.prSize.p95Changes },
+  'totalPRs': { unit: '', get: r => summaryOf(r)?.totalPRs ?? (r.periods ? 0 : null) },
+  'commitsPerDay': { unit: '', get: r => current(r)?.commitFrequency?.avgCommitsPerDay },
+  'cycleTime.regression': { unit: '%', get: r => regression(r.comparison?.cycleTime) },
+  'reviewTime.regression': { unit: '%', get: r => regression(r.comparison?.reviewTime) },
+  'prSize.regression': { unit: '%', get: r => regression(r.comparison?.prSize) },
+  'totalPRs.regression': { unit: '%', get: r => regression(r.comparison?.totalPRs) },
+  'overall.regression': { unit: '%', get: r => r.comparison ? -r.comparison.overallImprovement : null },
+  'dora.deploymentsPerWeek': { unit: '', get: r => current(r)?.dora?.deploymentFrequency.perWeek },
+  'dora.leadTime.median': { unit: 'h', get: r => current(r)?.dora?.leadTime.medianHours },
+  'dora.changeFailureRate': { unit: '%', get: r => current(r)?.dora?.changeFailureRate.percent },
+  'dora.timeToRestore.median': { unit: 'h', get: r => current(r)?.dora?.timeToRestore.medianHours }
+};
+
+const OPERATORS = {
+  '>': (actual, threshold) => actual > threshold,
+  '>=': (actual, threshold) => actual >= threshold,
+  '<': (actual, threshold) => actual < threshold,
+  '<=': (actual, threshold) => actual <= threshold
+};
+
+// Rules are violated when the comparison holds, e.g. "reviewTime.median > 24".
+// Object form: { "metric", "operator", "threshold", "repositories"? }.
+function parseRule(rule) {
+  let parsed = rule;
+  if (typeof rule === 'string') {
+    const match = /^\s*([\w.]+)\s*(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/.exec(rule);
+    if (!match) {
+      throw new Error(`Invalid gate rule "${rule}", expected e.g. "reviewTime.median > 24"`);
+    }
+    parsed = { metric: match[1], operator: match[2], threshold: parseFloat(match[3]) };
+  }
+
+  if (!GATE_METRICS[parsed.metric]) {
+    throw new Error(`Unknown gate metric "${parsed.metric}". Valid metrics: ${Object.keys(GATE_METRICS).join(', ')}`);
+  }
+  if (!OPERATORS[parsed.operator]) {
+    throw new Error(`Invalid operator "${parsed.operator}" in gate rule for ${parsed.metric}`);
+  }
+  if (typeof parsed.threshold !== 'number' || isNaN(parsed.threshold)) {
+    throw new Error(`Gate rule for ${parsed.metric} needs a numeric threshold`);
+  }
+
+  return {
+    id: parsed.id || `${parsed.metric} ${parsed.operator} ${parsed.threshold}`,
+    metric: parsed.metric,
+    operator: parsed.operator,
+    threshold: parsed.threshold,
+    repositories: parsed.repositories || null
+  };
+}
+
+// Check every rule against every repository in a formatReport() result
+function evaluateGate(report, rules, options = {}) {
+  const failOnError = options.failOnError !== false;
+  const checks = [];
+
+  for (const result of report.repositories) {
+    if (result.error) {
+      checks.push({
+        repository: result.repository,
+        rule: 'analysis',
+        status: failOnError ? 'failed' : 'skipped',
+        message: `Analysis failed: ${result.error}`
+      });
+      continue;
+    }
+
+    for (const rule of rules) {
+      if (rule.repositories && !rule.repositories.includes(result.repository)) continue;
+
+      const actual = GATE_METRICS[rule.metric].get(result);
+      const check = {
+        repository: result.repository,
+        rule: rule.id,
+        metric: rule.metric,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        actual: actual ?? null
+      };
+
+      if (actual === null || actual === undefined) {
+        checks.push({ ...check, status: 'skipped', message: `No ${rule.metric} value` });
+      } else if (OPERATORS[rule.operator](actual, rule.threshold)) {
+        const unit = GATE_METRICS[rule.metric].unit;
+        checks.push({ ...check, status: 'failed', message: `${rule.metric} is ${formatNumber(actual)}${unit} (rule: ${rule.id})` });
+      } else {
+        checks.push({ ...check, status: 'passed' });
+      }
+    }
+  }
+
+  const violations = checks.filter(check => check.status === 'failed');
+  return {
+    passed: violations.length === 0,
+    organization: report.summary?.organization || null,
+    generatedAt: report.summary?.generatedAt || null,
+    rules,
+    counts: {
+      checks: checks.length,
+      passed: checks.filter(check => check.status === 'passed').length,
+      failed: violations.length,
+      skipped: checks.filter(check => check.status === 'skipped').length
+    },
+    violations,
+    checks
+  };
+}
+
+// One <testsuite> per repository, one <testcase> per rule
+function toJUnitXml(gateResult) {
+  const byRepository = new Map();
+  for (const check of gateResult.checks) {
+    if (!byRepository.has(check.repository)) byRepository.set(check.repository, []);
+    byRepository.get(check.repository).push(check);
+  }
+
+  const suites = [...byRepository].map(([repository, checks]) => {
+    const failures = checks.filter(check => check.status === 'failed').length;
+    const skipped = checks.filter(check => check.status === 'skipped').length;
+    const cases = checks.map(check => {
+      const open = `    <testcase classname="${escapeXml(`ai-delivery.${repository}`)}" name="${escapeXml(check.rule)}"`;
+      if (check.status === 'failed') {
+        return `${open}>\n      <failure message="${escapeXml(check.message)}" type="${check.metric ? 'threshold' : 'analysis-error'}">${escapeXml(check.message)}</failure>\n    </testcase>`;
+      }
+      if (check.status === 'skipped') {
+        return `${open}>\n      <skipped message="${escapeXml(check.message)}"/>\n    </testcase>`;
+      }
+      return `${open}/>`;
+    });
+
+    return `  <testsuite name="${escapeXml(repository)}" tests="${checks.length}" failures="${failures}" skipped="${skipped}" errors="0">\n${cases.join('\n')}\n  </testsuite>`;
+  });
+
+  const { counts } = gateResult;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="ai-delivery-gate" tests="${counts.checks}" failures="${counts.failed}" skipped="${counts.skipped}" errors="0">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+function printGateResult(gateResult) {
+  const { counts } = gateResult;
+  console.log('\n' + '='.repeat(60));
+  console.log(`🚦 DELIVERY GATE: ${gateResult.passed ? 'PASSED' : 'FAILED'}`);
+  console.log('='.repeat(60));
+  console.log(`${counts.checks} checks: ${counts.passed} passed, ${counts.failed} failed, ${counts.skipped} skipped`);
+
+  for (const violation of gateResult.violations) {
+    console.log(`  ❌ ${violation.repository}: ${violation.message}`);
+  }
+}
+
+// Evaluate, print and write the optional JSON/JUnit outputs; returns the result
+function runGate(report, rules, options = {}) {
+  const gateResult = evaluateGate(report, rules, options);
+  printGateResult(gateResult);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(gateResult, null, 2));
+    console.log(`📝 Gate result saved to: ${options.output}`);
+  }
+  if (options.junit) {
+    fs.writeFileSync(options.junit, toJUnitXml(gateResult));
+    console.log(`🧪 JUnit report saved to: ${options.junit}`);
+  }
+
+  return gateResult;
+}
+
+// Rules from config.json plus --gate-rule options, validated up front
+function loadGateRules(config, cliRules = []) {
+  return [...(config.gate?.rules || []), ...cliRules].map(parseRule);
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// `gate <report>`: evaluate a saved JSON report
+async function runGateCommand(reportFile, options = {}) {
+  const ConfigManager = require('./config-manager');
+  const config = new ConfigManager().loadConfig();
+
+  let report;
+  let rules;
+  try {
+    report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    rules = loadGateRules(config, options.gateRule);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (rules.length === 0) {
+    console.error('❌ No gate rules configured');
+    console.log('💡 Add rules to the "gate" section of config.json or pass --gate-rule "reviewTime.median > 24"');
+    process.exit(1);
+  }
+
+  const gateResult = runGate(report, rules, { ...options, failOnError: config.gate.failOnError });
+  if (!gateResult.passed) {
+    process.exitCode = GATE_EXIT_CODE;
+  }
+  return gateResult;
+}
+
+module.exports = {
+  GATE_EXIT_CODE,
+  GATE_METRICS,
+  parseRule,
+  evaluateGate,
+  toJUnitXml,
+  runGate,
+  runGateCommand,
+  loadGateRules
+};
@@ -1,4 +1,5 @@
 const { Octokit } = require('@octokit/rest');
+const { startOfMonth, endOfMonth, addMonths, min, max } = require('date-fns');
 const CacheManager = require('./cache-manager');
 const RateLimiter = require('./rate-limiter');
 require('dotenv').config();
@@ -24,6 +25,19 @@ class GitHubClient {
       burstLimit: options.burstLimit || 100
     });
     
+    // The search API has its own, much smaller budget (30 requests/minute)
+    this.searchRateLimiter = new RateLimiter({
+      requestsPerHour: 1800,
+      burstLimit: options.searchBurstLimit || 28
+    });
+    
+    // GraphQL is budgeted in query points rather than requests (5000 points/hour)
+    this.graphqlRateLimiter = new RateLimiter({
+      requestsPerHour: options.requestsPerHour || 4500,
+      burstLimit: options.burstLimit || 100,
+      pointsPerHour: options.graphqlPointsPerHour || 4500
+    });
+    
     this.requestsThisRun = 0;
     this.startTime = Date.now();
     
@@ -33,37 +47,39 @@ class GitHubClient {
     console.log(`   Burst Limit: ${this.rateLimiter.burstLimit} requests/minute`);
   }
 
-  async makeRequest(requestFn, cacheKey = null) {
+  async makeRequest(requestFn, cacheKey = null, rateLimiter = this.rateLimiter) {
     // Check cache first
     if (cacheKey) {
       const cached = await this.cache.get(cacheKey);
       if (cached !== null) {
-        this.rateLimiter.recordRequest(true);
+        rateLimiter.recordRequest(true);
         return cached;
       }
     }
     
     // Wait if rate limited
-    await this.rateLimiter.waitIfNeeded();
+    await rateLimiter.waitIfNeeded();
     
     try {
       const response = await requestFn();
-      this.rateLimiter.recordRequest(false);
+      rateLimiter.recordRequest(false);
       this.requestsThisRun++;
       
       // Handle rate limit headers
       if (response.headers) {
         const remaining = parseInt(response.headers['x-ratelimit-remaining']);
         const reset = parseInt(response.headers['x-ratelimit-reset']);
+        const limit = parseInt(response.headers['x-ratelimit-limit']);
         
-        // Warn when getting close to limits
-        if (remaining <= 100) {
+        // Warn when under a tenth of the resource's budget is left; a fixed count
+        // would fire on every page of the 30-per-minute search API
+        if (remaining <= Math.ceil((limit || 5000) * 0.1)) {
           const resetTime = new Date(reset * 1000);
           console.warn(`⚠️  Rate limit warning: ${remaining} requests remaining (resets at ${resetTime.toLocaleTimeString()})`);
         }
         
         if (remaining <= 10 && reset) {
-          this.rateLimiter.handleRateLimitResponse(reset);
+          rateLimiter.handleRateLimitResponse(reset);
         }
       }
       
@@ -77,68 +93,141 @@ class GitHubClient {
       return data;
       
     } catch (error) {
-      if (error.status === 403 && error.message.includes('rate limit')) {
+      if (isRateLimitError(error)) {
         const resetTime = error.response?.headers?.['x-ratelimit-reset'];
         if (resetTime) {
-          this.rateLimiter.handleRateLimitResponse(parseInt(resetTime));
+          rateLimiter.handleRateLimitResponse(parseInt(resetTime));
+          // Retry; makeRequest waits for the reset before sending
+          return this.makeRequest(requestFn, cacheKey, rateLimiter);
         }
-        // Retry after waiting
-        await this.rateLimiter.waitIfNeeded();
-        return this.makeRequest(requestFn, cacheKey);
       }
       throw error;
     }
   }
+
+  // Fetch a long range as per-month chunks, newest first. Each chunk is cached on
+  // its own, so a run that stalls on rate limits resumes from the last finished chunk.
+  // A chunk that ends within OPEN_CHUNK_MARGIN_MS of now is still filling up and
+  // its date-only key would serve it stale for the rest of the day, so it is
+  // always fetched and never cached.
+  async fetchInChunks(type, owner, repo, since, until, fetchChunk) {
+    const chunks = splitIntoMonthlyChunks(since, until).reverse();
+    const cursor = {}; // Shared between chunks so fetchers can continue where the last one stopped
+    const items = [];
+    const openAfter = Date.now() - OPEN_CHUNK_MARGIN_MS;
+    let resumed = 0;
+
+    for (const [index, chunk] of chunks.entries()) {
+      const cacheKey = chunk.until.getTime() > openAfter ? null : this.cache.paginatedKey(`${type}-chunk`, owner, repo, {
+        since: chunk.since.toISOString().split('T')[0],
+        until: chunk.until.toISOString().split('T')[0]
+      });
+
+      const cached = cacheKey ? await this.cache.get(cacheKey) : null;
+      if (cached !== null) {
+        this.rateLimiter.recordRequest(true);
+        items.push(...cached);
+        resumed++;
+        continue;
+      }
+
+      const chunkItems = await this.retryOnStall(() => fetchChunk(chunk.since, chunk.until, cursor));
+      if (cacheKey) {
+        await this.cache.set(cacheKey, chunkItems);
+      }
+      items.push(...chunkItems);
+
+      if (chunks.length > 1) {
+        console.log(`  📦 ${type} chunk ${index + 1}/${chunks.length} (${chunk.since.toISOString().split('T')[0]}): ${chunkItems.length} found`);
+      }
+    }
+
+    if (resumed > 0) {
+      console.log(`  ♻️  Reused ${resumed}/${chunks.length} cached ${type} chunks`);
+    }
+
+    return items;
+  }
+
+  // Retry a unit of work after rate-limit stalls that makeRequest could not wait out
+  // itself (secondary limits and 429s come without a reset time).
+  async retryOnStall(fn, maxRetries = 3) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (!isRateLimitError(error) || attempt >= maxRetries) throw error;
+
+        const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+        const waitMs = retryAfter ? retryAfter * 1000 : this.rateLimiter.currentBackoffMs * Math.pow(2, attempt + 1);
+        console.warn(`⏸️  Rate limit stall, retrying in ${Math.ceil(waitMs / 1000)}s (attempt ${attempt + 1}/${maxRetries})...`);
+        await this.rateLimiter.sleep(waitMs);
+      }
+    }
+  }
   
+  // Merged PRs whose merge time falls inside [since, until], via the search API
   async getPullRequests(owner, repo, since, until) {
     console.log(`📥 Fetching PRs for ${owner}/${repo}...`);
-    
-    const cacheKey = this.cache.paginatedKey('pulls', owner, repo, {
-      since: since.toISOString().split('T')[0],
-      until: until.toISOString().split('T')[0],
-      state: 'closed'
-    });
-    
-    return this.cache.getOrSet(cacheKey, async () => {
-      const pulls = [];
-      let page = 1;
-      let hasMore = true;
-      
-      while (hasMore) {
-        const data = await this.makeRequest(() => 
-          this.octokit.pulls.list({
-            owner,
-            repo,
-            state: 'closed',
-            sort: 'updated',
-            direction: 'desc',
-            per_page: 100,
-            page
-          })
-        );
 
-        const filteredPulls = data.filter(pr => {
-          const createdAt = new Date(pr.created_at);
-          return createdAt >= since && createdAt <= until;
-        });
+    const pulls = await this.fetchInChunks('pulls', owner, repo, since, until, (chunkSince, chunkUntil) =>
+      this.searchMergedPullRequests(owner, repo, chunkSince, chunkUntil)
+    );
 
-        pulls.push(...filteredPulls);
+    console.log(`  ✅ Found ${pulls.length} PRs`);
+    return pulls;
+  }
 
-        // Stop if we got less than a full page or no relevant PRs
-        hasMore = data.length === 100 && filteredPulls.length > 0;
-        
-        if (hasMore) {
-          page++;
-          // Progress indicator for large repositories
-          if (page % 5 === 0) {
-            console.log(`  📄 Fetched ${pulls.length} PRs (page ${page})...`);
-          }
+  // The search API returns at most 1000 results per query, so ranges that match
+  // more are split. Search can't sort by merge time, so the first page of an
+  // overflowing range is no use to any part; splitting into enough parts for
+  // its total_count at once spends that one request instead of one per halving.
+  async searchMergedPullRequests(owner, repo, since, until) {
+    const query = `repo:${owner}/${repo} is:pr is:merged merged:${toSearchDate(since)}..${toSearchDate(until)}`;
+    const firstPage = await this.searchIssuesPage(query, 1);
+
+    if (firstPage.total_count > SEARCH_RESULT_CAP) {
+      const boundaries = splitSearchRange(since, until, Math.ceil(firstPage.total_count / SEARCH_SPLIT_TARGET));
+      if (boundaries.length > 1) {
+        console.log(`  ✂️  ${firstPage.total_count} PRs merged ${toSearchDate(since)}..${toSearchDate(until)}, splitting into ${boundaries.length} ranges`);
+        const items = [];
+        // Newest part first, like the pages within a range; parts that still overflow split again
+        for (const part of boundaries.reverse()) {
+          items.push(...await this.searchMergedPullRequests(owner, repo, part.since, part.until));
         }
+        return items;
       }
-      
-      console.log(`  ✅ Found ${pulls.length} PRs`);
-      return pulls;
-    });
+      console.warn(`⚠️  More than ${SEARCH_RESULT_CAP} PRs merged within one second, results truncated`);
+    }
+
+    const items = [...firstPage.items];
+    const pages = Math.min(Math.ceil(firstPage.total_count / 100), SEARCH_RESULT_CAP / 100);
+
+    for (let page = 2; page <= pages; page++) {
+      const data = await this.searchIssuesPage(query, page);
+      items.push(...data.items);
+      if (data.items.length < 100) break;
+    }
+
+    if (firstPage.incomplete_results) {
+      console.warn(`⚠️  Search results for ${owner}/${repo} may be incomplete (search timed out)`);
+    }
+
+    // De-duplicate in case items shifted between pages, newest merge first
+    const byNumber = new Map(items.map(item => [item.number, toPullRequestSummary(item)]));
+    return [...byNumber.values()].sort((a, b) => new Date(b.merged_at) - new Date(a.merged_at));
+  }
+
+  async searchIssuesPage(query, page) {
+    return this.makeRequest(() =>
+      this.octokit.search.issuesAndPullRequests({
+        q: query,
+        sort: 'created',
+        order: 'desc',
+        per_page: 100,
+        page
+      }), null, this.searchRateLimiter
+    );
   }
 
   async getPullRequestDetails(owner, repo, pullNumber, prUpdatedAt = null) {
@@ -147,7 +236,8 @@ class GitHubClient {
     
     if (cacheKey) {
       const cached = await this.cache.get(cacheKey);
-      if (cached) {
+      // Entries cached before timeline events were fetched are refreshed once
+      if (cached?.timeline_events) {
         this.rateLimiter.recordRequest(true);
         return cached;
       }
@@ -183,10 +273,40 @@ class GitHubClient {
       })
     );
 
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Draft transitions, review requests and conversation comments for the lifecycle stages
+    const timeline = [];
+    let page = 1;
+    while (true) {
+      const data = await this.makeRequest(() =>
+        this.octokit.issues.listEventsForTimeline({
+          owner,
+          repo,
+          issue_number: pullNumber,
+          per_page: 100,
+          page
+        })
+      );
+      timeline.push(...data);
+
+      if (data.length < 100 || page >= 30) {
+        break;
+      }
+      page++;
+    }
+
     const result = {
       ...prDetails,
       reviews: reviews,
-      commits: commits
+      commits: commits,
+      timeline_events: timeline
+        .filter(item => Object.values(TIMELINE_EVENT_NAMES).includes(item.event))
+        .map(item => ({
+          event: item.event,
+          created_at: item.created_at,
+          actor: { login: (item.actor || item.user)?.login || 'ghost' }
+        }))
     };
     
     // Cache the result
@@ -197,44 +317,432 @@ class GitHubClient {
     return result;
   }
 
-  async getCommits(owner, repo, since, until) {
-    console.log(`📊 Fetching commits for ${owner}/${repo}...`);
-    
-    const cacheKey = this.cache.paginatedKey('commits', owner, repo, {
-      since: since.toISOString().split('T')[0],
-      until: until.toISOString().split('T')[0]
-    });
-    
+  // Paths of the files a PR changed (GitHub lists at most 3000). Merged PRs
+  // don't change any more, so the merge time keys the cache.
+  async getPullRequestFiles(owner, repo, pullNumber, mergedAt) {
+    const cacheKey = this.cache.prDetailsKey(owner, repo, pullNumber, mergedAt, 'files');
+
     return this.cache.getOrSet(cacheKey, async () => {
-      const commits = [];
+      const paths = [];
       let page = 1;
-      
+
       while (true) {
-        const data = await this.makeRequest(() => 
-          this.octokit.repos.listCommits({
+        const data = await this.makeRequest(() =>
+          this.octokit.pulls.listFiles({
             owner,
             repo,
-            since: since.toISOString(),
-            until: until.toISOString(),
+            pull_number: pullNumber,
             per_page: 100,
             page
           })
         );
 
-        commits.push(...data);
+        for (const file of data) {
+          paths.push(file.filename);
+          // A rename moves code out of the old path too
+          if (file.previous_filename) paths.push(file.previous_filename);
+        }
 
-        if (data.length < 100) {
+        if (data.length < 100 || page >= 30) {
           break;
         }
         page++;
+      }
+
+      return paths;
+    });
+  }
+
+  // Contents of the repository's CODEOWNERS file from the first location GitHub
+  // reads it from, or null when there is none
+  async getCodeowners(owner, repo) {
+    const cacheKey = this.cache.paginatedKey('codeowners', owner, repo);
+
+    return this.cache.getOrSet(cacheKey, async () => {
+      for (const path of CODEOWNERS_PATHS) {
+        try {
+          const data = await this.makeRequest(() =>
+            this.octokit.repos.getContent({ owner, repo, path })
+          );
+          return Buffer.from(data.content, data.encoding).toString('utf8');
+        } catch (error) {
+          if (error.status !== 404) throw error;
+        }
+      }
+      return null;
+    });
+  }
+
+  // Fetch details for many PRs in one GraphQL query per batch (max 100 per query).
+  // Results have the same shape as getPullRequestDetails, plus review comments.
+  // PRs that fail to resolve come back as { number, error }.
+  async getPullRequestDetailsBulk(owner, repo, prs, batchSize = 50) {
+    const results = new Map();
+    const pending = [];
+    
+    for (const pr of prs) {
+      // "graphql-v2": older entries may hold only the first page of each connection
+      const cacheKey = pr.updated_at ?
+        this.cache.prDetailsKey(owner, repo, pr.number, pr.updated_at, 'graphql-v2') : null;
+      const cached = cacheKey ? await this.cache.get(cacheKey) : null;
+      
+      if (cached) {
+        this.graphqlRateLimiter.recordRequest(true);
+        results.set(pr.number, cached);
+      } else {
+        pending.push({ pr, cacheKey });
+      }
+    }
+    
+    const size = Math.min(Math.max(batchSize, 1), 100);
+    for (let i = 0; i < pending.length; i += size) {
+      const batch = pending.slice(i, i + size);
+      const aliases = batch.map(({ pr }) => `pr${pr.number}: pullRequest(number: ${pr.number}) { ...PullRequestDetails }`);
+      const query = `query($owner: String!, $repo: String!) {
+        rateLimit { cost remaining resetAt }
+        repository(owner: $owner, name: $repo) {
+          ${aliases.join('\n          ')}
+        }
+      }
+      ${PULL_REQUEST_DETAILS_FRAGMENT}`;
+      
+      const data = await this.makeGraphQLRequest(query, { owner, repo });
+      
+      for (const { pr, cacheKey } of batch) {
+        const node = data.repository?.[`pr${pr.number}`];
+        if (!node) {
+          results.set(pr.number, { number: pr.number, error: 'Not returned by GraphQL' });
+          continue;
+        }
+        
+        for (const name of Object.keys(PULL_REQUEST_CONNECTIONS)) {
+          if (node[name].pageInfo.hasNextPage) {
+            node[name].nodes.push(...await this.getRemainingConnectionNodes(owner, repo, pr.number, name, node[name].pageInfo.endCursor));
+          }
+        }
+        
+        const details = toPullRequestDetails(node);
+        if (cacheKey) {
+          await this.cache.set(cacheKey, details);
+        }
+        results.set(pr.number, details);
+      }
+    }
+    
+    return prs.map(pr => results.get(pr.number));
+  }
+
+  // Pages of a PR connection (see PULL_REQUEST_CONNECTIONS) after `cursor`
+  async getRemainingConnectionNodes(owner, repo, number, name, cursor) {
+    const { args, fields } = PULL_REQUEST_CONNECTIONS[name];
+    const query = `query($owner: String!, $repo: String!, $number: Int!, $after: String!) {
+      rateLimit { cost remaining resetAt }
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $number) {
+          ${name}(first: 100, after: $after${args}) {
+            nodes {${fields}
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    }`;
+    
+    const nodes = [];
+    let after = cursor;
+    while (after) {
+      const data = await this.makeGraphQLRequest(query, { owner, repo, number, after });
+      const connection = data.repository.pullRequest[name];
+      nodes.push(...connection.nodes);
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    }
+    return nodes;
+  }
+
+  async makeGraphQLRequest(query, variables) {
+    await this.graphqlRateLimiter.waitIfNeeded();
+    
+    let data;
+    try {
+      data = await this.octokit.graphql(query, variables);
+    } catch (error) {
+      if (error.errors?.some(e => e.type === 'RATE_LIMITED')) {
+        const reset = error.headers?.['x-ratelimit-reset'];
+        this.graphqlRateLimiter.handleRateLimitResponse(reset ? parseInt(reset) : Math.floor(Date.now() / 1000) + 60);
+        return this.makeGraphQLRequest(query, variables);
+      }
+      // Partial results (e.g. one PR number that no longer resolves) still carry data
+      if (!error.data) throw error;
+      data = error.data;
+    }
+    
+    this.graphqlRateLimiter.recordRequest(false);
+    this.requestsThisRun++;
+    
+    if (data.rateLimit) {
+      const { cost, remaining, resetAt } = data.rateLimit;
+      this.graphqlRateLimiter.recordCost(cost, remaining, resetAt);
+    }
+    
+    return data;
+  }
+
+  async getCommits(owner, repo, since, until) {
+    console.log(`📊 Fetching commits for ${owner}/${repo}...`);
+
+    const commits = await this.fetchInChunks('commits', owner, repo, since, until, (chunkSince, chunkUntil) =>
+      this.fetchCommitChunk(owner, repo, chunkSince, chunkUntil)
+    );
+
+    console.log(`  ✅ Found ${commits.length} commits`);
+    return commits;
+  }
+
+  async fetchCommitChunk(owner, repo, since, until) {
+    const commits = [];
+    let page = 1;
+
+    while (true) {
+      const data = await this.makeRequest(() => 
+        this.octokit.repos.listCommits({
+          owner,
+          repo,
+          since: since.toISOString(),
+          until: until.toISOString(),
+          per_page: 100,
+          page
+        })
+      );
+
+      commits.push(...data);
+
+      if (data.length < 100) {
+        break;
+      }
+      page++;
+
+      if (page % 3 === 0) {
+        console.log(`  📄 Fetched ${commits.length} commits (page ${page})...`);
+      }
+    }
+
+    return commits;
+  }
+
+  // Deployment events for DORA metrics, oldest first, normalized to
+  // { id, name, sha, createdAt, source } whatever the configured source is.
+  async getDeploymentEvents(owner, repo, since, until, options = {}) {
+    const source = options.source || 'releases';
+    console.log(`🚀 Fetching ${source} for ${owner}/${repo}...`);
+    
+    const cacheKey = this.cache.paginatedKey(`dora-${source}`, owner, repo, {
+      since: since.toISOString().split('T')[0],
+      until: until.toISOString().split('T')[0],
+      environment: options.environment,
+      tagPattern: options.tagPattern
+    });
+    
+    const events = await this.cache.getOrSet(cacheKey, async () => {
+      switch (source) {
+        case 'deployments':
+          return this.fetchDeployments(owner, repo, since, until, options.environment);
+        case 'releases':
+          return this.fetchReleases(owner, repo, since, until);
+        case 'tags':
+          return this.fetchTags(owner, repo, since, until, options.tagPattern);
+        default:
+          throw new Error(`Unknown deployment source: ${source}`);
+      }
+    });
+    
+    console.log(`  ✅ Found ${events.length} ${source}`);
+    return events.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async fetchDeployments(owner, repo, since, until, environment) {
+    const deployments = [];
+    let page = 1;
+    
+    while (true) {
+      const data = await this.makeRequest(() => 
+        this.octokit.repos.listDeployments({
+          owner,
+          repo,
+          environment: environment || undefined,
+          per_page: 100,
+          page
+        })
+      );
+      
+      for (const deployment of data) {
+        const createdAt = new Date(deployment.created_at);
+        if (createdAt >= since && createdAt <= until) {
+          deployments.push({
+            id: deployment.id,
+            name: deployment.environment,
+            sha: deployment.sha,
+            createdAt: deployment.created_at,
+            source: 'deployments'
+          });
+        }
+      }
+      
+      // Deployments are listed newest first
+      const oldest = data[data.length - 1];
+      if (data.length < 100 || new Date(oldest.created_at) < since) {
+        break;
+      }
+      page++;
+    }
+    
+    return deployments;
+  }
+
+  async fetchReleases(owner, repo, since, until) {
+    const releases = [];
+    let page = 1;
+    
+    while (true) {
+      const data = await this.makeRequest(() => 
+        this.octokit.repos.listReleases({
+          owner,
+          repo,
+          per_page: 100,
+          page
+        })
+      );
+      
+      for (const release of data) {
+        if (release.draft || release.prerelease || !release.published_at) continue;
+        
+        const publishedAt = new Date(release.published_at);
+        if (publishedAt >= since && publishedAt <= until) {
+          releases.push({
+            id: release.id,
+            name: release.tag_name,
+            // No sha: target_commitish is usually a branch name, not the released commit
+            createdAt: release.published_at,
+            source: 'releases'
+          });
+        }
+      }
+      
+      // Releases are listed newest first
+      const oldest = data[data.length - 1];
+      if (data.length < 100 || new Date(oldest.created_at) < since) {
+        break;
+      }
+      page++;
+    }
+    
+    return releases;
+  }
+
+  // Tags carry no date over REST, so they're read through GraphQL ordered by commit date
+  async fetchTags(owner, repo, since, until, tagPattern) {
+    const pattern = tagPattern ? new RegExp(tagPattern) : null;
+    const tags = [];
+    let cursor = null;
+    
+    while (true) {
+      const data = await this.makeGraphQLRequest(`query($owner: String!, $repo: String!, $cursor: String) {
+        rateLimit { cost remaining resetAt }
+        repository(owner: $owner, name: $repo) {
+          refs(refPrefix: "refs/tags/", first: 100, after: $cursor, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {
+            pageInfo { hasNextPage endCursor }
+            nodes {
+              name
+              target {
+                oid
+                ... on Commit { committedDate }
+                ... on Tag { tagger { date } target { oid ... on Commit { committedDate } } }
+              }
+            }
+          }
+        }
+      }`, { owner, repo, cursor });
+      
+      const refs = data.repository.refs;
+      let reachedStart = false;
+      
+      for (const ref of refs.nodes) {
+        const commitOid = ref.target.target?.oid || ref.target.oid;
+        const date = ref.target.tagger?.date || ref.target.committedDate || ref.target.target?.committedDate;
+        if (!date) continue;
         
-        if (page % 3 === 0) {
-          console.log(`  📄 Fetched ${commits.length} commits (page ${page})...`);
+        const createdAt = new Date(date);
+        if (createdAt < since) {
+          reachedStart = true;
+          continue;
         }
+        if (createdAt > until || (pattern && !pattern.test(ref.name))) continue;
+        
+        tags.push({
+          id: ref.name,
+          name: ref.name,
+          sha: commitOid,
+          createdAt: createdAt.toISOString(),
+          source: 'tags'
+        });
       }
       
-      console.log(`  ✅ Found ${commits.length} commits`);
-      return commits;
+      if (reachedStart || !refs.pageInfo.hasNextPage) {
+        break;
+      }
+      cursor = refs.pageInfo.endCursor;
+    }
+    
+    return tags;
+  }
+
+  // Issues (not PRs) carrying any of the given labels, created inside [since, until]
+  async getIncidents(owner, repo, since, until, labels = ['incident']) {
+    const cacheKey = this.cache.paginatedKey('incidents', owner, repo, {
+      since: since.toISOString().split('T')[0],
+      until: until.toISOString().split('T')[0],
+      labels
+    });
+    
+    return this.cache.getOrSet(cacheKey, async () => {
+      const incidents = new Map();
+      
+      // The labels filter matches issues with ALL given labels, so query each one
+      for (const label of labels) {
+        let page = 1;
+        
+        while (true) {
+          const data = await this.makeRequest(() => 
+            this.octokit.issues.listForRepo({
+              owner,
+              repo,
+              labels: label,
+              state: 'all',
+              since: since.toISOString(), // Filters on updated_at, refined below
+              per_page: 100,
+              page
+            })
+          );
+          
+          for (const issue of data) {
+            const createdAt = new Date(issue.created_at);
+            if (issue.pull_request || createdAt < since || createdAt > until) continue;
+            
+            incidents.set(issue.number, {
+              number: issue.number,
+              title: issue.title,
+              createdAt: issue.created_at,
+              closedAt: issue.closed_at
+            });
+          }
+          
+          if (data.length < 100) {
+            break;
+          }
+          page++;
+        }
+      }
+      
+      return [...incidents.values()];
     });
   }
 
@@ -303,6 +811,37 @@ class GitHubClient {
     });
   }
 
+  // Logins of an organization team's members, including child teams.
+  // Needs a token with read:org.
+  async getTeamMembers(owner, teamSlug) {
+    const cacheKey = this.cache.paginatedKey('team-members', owner, teamSlug);
+
+    return this.cache.getOrSet(cacheKey, async () => {
+      const members = [];
+      let page = 1;
+
+      while (true) {
+        const data = await this.makeRequest(() =>
+          this.octokit.teams.listMembersInOrg({
+            org: owner,
+            team_slug: teamSlug,
+            per_page: 100,
+            page
+          })
+        );
+
+        members.push(...data.map(member => member.login));
+
+        if (data.length < 100) {
+          break;
+        }
+        page++;
+      }
+
+      return members;
+    });
+  }
+
   async getRecentActivity(owner, repo, days = 90) {
     const since = new Date();
     since.setDate(since.getDate() - days);
@@ -348,7 +887,9 @@ class GitHubClient {
     return {
       requestsThisRun: this.requestsThisRun,
       cache: cacheStats,
-      rateLimiting: rateLimitStats
+      rateLimiting: rateLimitStats,
+      searchRateLimiting: this.searchRateLimiter.getStats(),
+      graphqlRateLimiting: this.graphqlRateLimiter.getStats()
     };
   }
   
@@ -365,6 +906,11 @@ class GitHubClient {
     console.log(`  Average Rate: ${requestsPerMinute} requests/minute`);
     
     this.rateLimiter.displayStats();
+    console.log(`  Search API Requests: ${this.searchRateLimiter.stats.totalRequests}`);
+    if (this.graphqlRateLimiter.stats.totalRequests > 0) {
+      const graphqlStats = this.graphqlRateLimiter.getStats();
+      console.log(`  GraphQL Queries: ${graphqlStats.totalRequests} (${graphqlStats.totalPoints} points, ${graphqlStats.remaining.points} remaining)`);
+    }
     
     const cacheStats = this.cache.getStats();
     if (cacheStats.enabled) {
@@ -381,4 +927,184 @@ class GitHubClient {
   }
 }
 
+const SEARCH_RESULT_CAP = 1000;
+// Chunks ending this close to now may still gain merges and commits (search
+// indexing lags a little too), so they're not cached
+const OPEN_CHUNK_MARGIN_MS = 60 * 60 * 1000;
+// PRs aimed for per part when a search range is split; the margin under the cap
+// absorbs uneven merge rates, so most parts fit on the first try
+const SEARCH_SPLIT_TARGET = 800;
+
+// Where GitHub looks for CODEOWNERS, in order
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+// PR connections the details query pages through. The first page comes with the
+// batch query; PRs with more are followed up one page of 100 at a time.
+const PULL_REQUEST_CONNECTIONS = {
+  reviews: {
+    first: 50,
+    args: '',
+    fields: `
+      state
+      submittedAt
+      author { login }
+      comments(first: 20) { nodes { createdAt author { login } } }`
+  },
+  commits: {
+    first: 100,
+    args: '',
+    fields: `
+      commit {
+        oid
+        message
+        authoredDate
+        committedDate
+        author { name email date user { login } }
+      }`
+  },
+  timelineItems: {
+    first: 100,
+    args: ', itemTypes: [READY_FOR_REVIEW_EVENT, CONVERT_TO_DRAFT_EVENT, REVIEW_REQUESTED_EVENT, ISSUE_COMMENT, MERGED_EVENT]',
+    fields: `
+      __typename
+      ... on ReadyForReviewEvent { createdAt actor { login } }
+      ... on ConvertToDraftEvent { createdAt actor { login } }
+      ... on ReviewRequestedEvent { createdAt actor { login } }
+      ... on IssueComment { createdAt author { login } }
+      ... on MergedEvent { createdAt actor { login } }`
+  }
+};
+
+const PULL_REQUEST_DETAILS_FRAGMENT = `fragment PullRequestDetails on PullRequest {
+  number
+  title
+  body
+  state
+  isDraft
+  createdAt
+  updatedAt
+  mergedAt
+  closedAt
+  additions
+  deletions
+  changedFiles
+  author { login }
+  labels(first: 50) { nodes { name } }
+  ${Object.entries(PULL_REQUEST_CONNECTIONS).map(([name, { first, args, fields }]) =>
+    `${name}(first: ${first}${args}) {
+    nodes {${fields}
+    }
+    pageInfo { hasNextPage endCursor }
+  }`).join('\n  ')}
+}`;
+
+const TIMELINE_EVENT_NAMES = {
+  ReadyForReviewEvent: 'ready_for_review',
+  ConvertToDraftEvent: 'convert_to_draft',
+  ReviewRequestedEvent: 'review_requested',
+  IssueComment: 'commented',
+  MergedEvent: 'merged'
+};
+
+// Map a GraphQL PullRequest node onto the REST shape MetricsAnalyzer expects
+function toPullRequestDetails(node) {
+  const login = actor => (actor ? { login: actor.login } : { login: 'ghost' });
+  const reviews = node.reviews.nodes;
+
+  return {
+    number: node.number,
+    title: node.title,
+    body: node.body,
+    // REST reports merged PRs as "closed"
+    state: node.state === 'MERGED' ? 'closed' : node.state.toLowerCase(),
+    draft: node.isDraft,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    merged_at: node.mergedAt,
+    closed_at: node.closedAt,
+    additions: node.additions,
+    deletions: node.deletions,
+    changed_files: node.changedFiles,
+    user: login(node.author),
+    labels: node.labels.nodes.map(label => ({ name: label.name })),
+    reviews: reviews.map(review => ({
+      state: review.state,
+      submitted_at: review.submittedAt,
+      user: login(review.author)
+    })),
+    review_comments: reviews.flatMap(review => review.comments.nodes.map(comment => ({
+      created_at: comment.createdAt,
+      user: login(comment.author)
+    }))),
+    commits: node.commits.nodes.map(({ commit }) => ({
+      sha: commit.oid,
+      commit: {
+        message: commit.message,
+        author: { name: commit.author?.name, email: commit.author?.email, date: commit.authoredDate },
+        committer: { date: commit.committedDate }
+      },
+      author: commit.author?.user ? { login: commit.author.user.login } : null
+    })),
+    timeline_events: node.timelineItems.nodes
+      .filter(item => TIMELINE_EVENT_NAMES[item.__typename])
+      .map(item => ({
+        event: TIMELINE_EVENT_NAMES[item.__typename],
+        created_at: item.createdAt,
+        actor: login(item.actor || item.author)
+      }))
+  };
+}
+
+// [since, until] in `parts` consecutive ranges on whole seconds (search qualifiers
+// have second precision), oldest first; fewer when the range is too short
+function splitSearchRange(since, until, parts) {
+  const startSecond = Math.ceil(since.getTime() / 1000);
+  const endSecond = Math.floor(until.getTime() / 1000);
+  const count = Math.max(1, Math.min(parts, endSecond - startSecond + 1));
+  const ranges = [];
+
+  for (let index = 0; index < count; index++) {
+    const from = startSecond + Math.floor(((endSecond - startSecond + 1) * index) / count);
+    const to = startSecond + Math.floor(((endSecond - startSecond + 1) * (index + 1)) / count) - 1;
+    ranges.push({
+      since: index === 0 ? since : new Date(from * 1000),
+      until: index === count - 1 ? until : new Date(to * 1000)
+    });
+  }
+  return ranges;
+}
+
+// Search qualifiers accept ISO 8601 timestamps at second precision
+function toSearchDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Search returns issue-shaped items; lift the merge time to where pulls.list puts it
+function toPullRequestSummary(item) {
+  return {
+    ...item,
+    merged_at: item.pull_request?.merged_at || null
+  };
+}
+
+function isRateLimitError(error) {
+  return error.status === 429 || (error.status === 403 && /rate limit/i.test(error.message || ''));
+}
+
+// Split [since, until] into calendar-month chunks (oldest first), clamped to the range
+function splitIntoMonthlyChunks(since, until) {
+  const chunks = [];
+  let monthStart = startOfMonth(since);
+
+  while (monthStart <= until) {
+    chunks.push({
+      since: max([monthStart, since]),
+      until: min([endOfMonth(monthStart), until])
+    });
+    monthStart = addMonths(monthStart, 1);
+  }
+
+  return chunks;
+}
+
 module.exports = GitHubClient;
\ No newline at end of file
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { startOfISOWeek, startOfMonth, format } = require('date-fns');
+
+// Append-only JSONL history of per-repository period summaries. Each line is one
+// repository/period pair; re-running the same period appends a newer line and
+// the newest one wins when the history is read back.
+class HistoryStore {
+  constructor(options = {}) {
+    this.directory = options.directory || 'reports';
+    this.filePath = path.join(this.directory, options.fileName || 'history.jsonl');
+  }
+
+  // Append entries for every repository and period in a formatReport() result
+  ingest(report, reportFile = null) {
+    const entries = this.toEntries(report, reportFile);
+    if (entries.length === 0) return 0;
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    fs.appendFileSync(this.filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    return entries.length;
+  }
+
+  // Backfill from saved report files, skipping reports already in the history
+  importReports(directory = this.directory) {
+    if (!fs.existsSync(directory)) return { files: 0, entries: 0 };
+
+    const known = new Set(this.load().map(entry => entry.reportFile).filter(Boolean));
+    const files = fs.readdirSync(directory)
+      .filter(file => /^ai-delivery-analysis-.*\.json$/.test(file))
+      .map(file => path.join(directory, file))
+      .filter(file => !known.has(file))
+      .sort();
+
+    let entries = 0;
+    for (const file of files) {
+      try {
+        entries += this.ingest(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+      } catch (error) {
+        console.warn(`⚠️  Could not import ${file}: ${error.message}`);
+      }
+    }
+
+    return { files: files.length, entries };
+  }
+
+  toEntries(report, reportFile = null) {
+    const organization = report.summary?.organization || null;
+    const generatedAt = report.summary?.generatedAt || new Date().toISOString();
+    const entries = [];
+
+    for (const result of report.repositories || []) {
+      if (result.error || !result.periods) continue;
+
+      for (const period of Object.values(result.periods)) {
+        const metrics = period.prMetrics;
+        const start = period.startTime || period.start;
+        const end = period.endTime || period.end;
+        const days = period.days || Math.max(1, Math.round((new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000)));
+
+        entries.push({
+          key: [organization, result.repository, period.start, period.end].join('|'),
+          organization,
+          repository: result.repository,
+          start,
+          end,
+          days,
+          generatedAt,
+          reportFile,
+          totalPRs: metrics?.totalPRs || 0,
+          throughputPerWeek: ((metrics?.totalPRs || 0) / days) * 7,
+          cycleTimeAvgHours: metrics?.cycleTime?.avgHours ?? null,
+          cycleTimeMedianHours: metrics?.cycleTime?.medianHours ?? null,
+          reviewTimeAvgHours: metrics?.reviewTime?.avgHours ?? null,
+          reviewTimeMedianHours: metrics?.reviewTime?.medianHours ?? null,
+          prSizeAvgChanges: metrics?.prSize?.avgChanges ?? null,
+          prSizeMedianChanges: metrics?.prSize?.medianChanges ?? null,
+          commitsPerDay: period.commitFrequency?.avgCommitsPerDay ?? null
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  // All entries, newest run per repository/period key
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const latest = new Map();
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        const existing = latest.get(entry.key);
+        if (!existing || entry.generatedAt >= existing.generatedAt) {
+          latest.set(entry.key, entry);
+        }
+      } catch {
+        // Skip a partially written line rather than losing the whole history
+      }
+    }
+
+    return [...latest.values()];
+  }
+
+  // Per-repository series bucketed by the week or month a period ends in. When
+  // several periods end in one bucket, the one closest in length to the bucket
+  // wins, then the most recent run.
+  buildSeries(entries, interval = 'week') {
+    const bucketDays = interval === 'month' ? 30 : 7;
+    const bucketOf = date => interval === 'month'
+      ? format(startOfMonth(date), 'yyyy-MM')
+      : format(startOfISOWeek(date), "RRRR-'W'II");
+
+    const byRepository = {};
+    for (const entry of entries) {
+      const bucket = bucketOf(new Date(entry.end));
+      const series = byRepository[entry.repository] = byRepository[entry.repository] || {};
+      const existing = series[bucket];
+
+      const distance = Math.abs(entry.days - bucketDays);
+      const existingDistance = existing ? Math.abs(existing.days - bucketDays) : Infinity;
+      if (!existing || distance < existingDistance ||
+          (distance === existingDistance && entry.generatedAt > existing.generatedAt)) {
+        series[bucket] = { bucket, ...entry };
+      }
+    }
+
+    const repositories = {};
+    for (const [repository, series] of Object.entries(byRepository)) {
+      repositories[repository] = Object.values(series).sort((a, b) => a.bucket.localeCompare(b.bucket));
+    }
+
+    return {
+      interval,
+      repositories,
+      organization: this.aggregateSeries(Object.values(repositories).flat())
+    };
+  }
+
+  // Org-wide series: PR counts and throughput add up, times are PR-weighted averages
+  aggregateSeries(points) {
+    const buckets = {};
+    for (const point of points) {
+      const bucket = buckets[point.bucket] = buckets[point.bucket] || [];
+      bucket.push(point);
+    }
+
+    const weighted = (group, field) => {
+      const usable = group.filter(point => point[field] !== null && point.totalPRs > 0);
+      const weight = usable.reduce((sum, point) => sum + point.totalPRs, 0);
+      return weight > 0 ? usable.reduce((sum, point) => sum + point[field] * point.totalPRs, 0) / weight : null;
+    };
+
+    return Object.entries(buckets)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([bucket, group]) => ({
+        bucket,
+        repositories: group.length,
+        totalPRs: group.reduce((sum, point) => sum + point.totalPRs, 0),
+        throughputPerWeek: group.reduce((sum, point) => sum + point.throughputPerWeek, 0),
+        cycleTimeAvgHours: weighted(group, 'cycleTimeAvgHours'),
+        reviewTimeAvgHours: weighted(group, 'reviewTimeAvgHours'),
+        prSizeAvgChanges: weighted(group, 'prSizeAvgChanges')
+      }));
+  }
+}
+
+module.exports = HistoryStore;
@@ -1,76 +1,209 @@
 const GitHubClient = require('./github-client');
 const MetricsAnalyzer = require('./metrics-analyzer');
 const ConfigManager = require('./config-manager');
-const { subDays, format } = require('date-fns');
+const ConcurrencyPool = require('./concurrency-pool');
+const WorkingCalendar = require('./working-calendar');
+const { saveReport } = require('./report-output');
+const { Notifier } = require('./notifier');
+const { runGate, loadGateRules, GATE_EXIT_CODE } = require('./gate');
+const { parseFormats, RENDERERS } = require('./renderers');
+const { normalizeTeams, syncTeamMembers, analyzeTeams } = require('./teams');
+const { normalizeComponents, ComponentMapper, summarizeComponents } = require('./components');
+const { BotFilter, BOT_MODES } = require('./bot-filter');
+const { AiUsageClassifier, summarizeAiUsage } = require('./ai-usage');
+const { detectChangePoints } = require('./change-points');
+const { subDays, addDays, format, parseISO, isValid, startOfDay, endOfDay, differenceInCalendarDays } = require('date-fns');
 const { Command } = require('commander');
 require('dotenv').config();
 
+// Longer periods are fetched in per-month chunks (see GitHubClient.fetchInChunks)
+const MAX_PERIOD_DAYS = 365;
+
 class AIDeliveryAnalyzer {
   constructor(options = {}) {
-    this.githubClient = new GitHubClient({
+    // A shared client lets several analyzers (e.g. in `serve`) share one rate limiter and cache
+    this.githubClient = options.githubClient || new GitHubClient({
       cache: options.cache !== false,
       cacheMaxAge: options.cacheMaxAge,
       requestsPerHour: options.requestsPerHour,
       burstLimit: options.burstLimit
     });
-    this.analyzer = new MetricsAnalyzer();
+    this.botFilter = options.botFilter || new BotFilter(); // Excludes bot PRs with the default rules
+    this.analyzer = new MetricsAnalyzer({ calendar: options.calendar, botFilter: this.botFilter });
     this.repositories = options.repositories || [];
     this.organization = options.organization;
     this.currentPeriodDays = options.currentPeriodDays || 90;
     this.previousPeriodDays = options.previousPeriodDays || options.currentPeriodDays || 90;
     this.gapDays = options.gapDays || 0;
+    this.periodRanges = options.periodRanges || null; // Absolute ranges, overrides relative days
     this.excludeRepositories = options.excludeRepositories || [];
     this.repositoryFilters = options.repositoryFilters || {};
-    this.batchSize = options.batchSize || 10; // Process PRs in batches
+    this.dora = options.dora || { enabled: false };
+    this.repoConcurrency = options.repoConcurrency || 1; // Repositories analysed at once
+    this.prConcurrency = options.prConcurrency || 4; // PR detail fetches in flight per repository
+    this.api = options.api || 'rest'; // 'rest' or 'graphql' for PR details
+    this.graphqlBatchSize = options.graphqlBatchSize || 50; // PRs per GraphQL query (max 100)
+    this.teams = options.teams || []; // From normalizeTeams()
+    this.components = options.components || {}; // Per repository, from normalizeComponents()
+    this.aiClassifier = options.aiClassifier || new AiUsageClassifier(); // Flags AI-assisted PRs
+    this.seriesBucketDays = options.seriesBucketDays || 7; // Bucket size of the per-period series
+    this.pullRequests = []; // Per-PR metrics of the last generateReport(), kept out of the JSON report
   }
 
-  async analyzeRepository(repo) {
-    console.log(`\n🔍 Analyzing ${this.organization}/${repo}...`);
+  // Analyzer for a period preset using only config.json settings, as used by
+  // `serve` and `daemon` where there are no CLI options to merge
+  static fromConfig(config, options = {}) {
+    const days = getDateRangePresets()[options.period || config.defaultPeriod];
+    if (!days) {
+      throw new Error(`Invalid period preset: ${options.period || config.defaultPeriod}`);
+    }
+
+    return new AIDeliveryAnalyzer({
+      githubClient: options.githubClient,
+      repositories: options.repositories || config.repositories,
+      organization: config.organization,
+      currentPeriodDays: days,
+      previousPeriodDays: days,
+      calendar: options.calendar !== undefined ? options.calendar
+        : (config.workingCalendar.enabled ? WorkingCalendar.fromConfig(config.workingCalendar) : null),
+      dora: config.dora,
+      excludeRepositories: config.excludeRepositories,
+      repositoryFilters: config.repositoryFilters,
+      teams: normalizeTeams(config.teams),
+      components: normalizeComponents(config.components),
+      botFilter: BotFilter.fromConfig(config),
+      aiClassifier: AiUsageClassifier.fromConfig(config),
+      seriesBucketDays: config.series.bucketDays
+    });
+  }
+
+  // Resolve the current and previous windows. Absolute ranges (from --since/--until
+  // or --rollout-date) win; otherwise windows are relative to `now`.
+  resolvePeriodRanges(now = new Date()) {
+    if (this.periodRanges) return this.periodRanges;
 
-    const now = new Date();
     const currentPeriodStart = subDays(now, this.currentPeriodDays);
     const previousPeriodEnd = subDays(now, this.currentPeriodDays + this.gapDays);
     const previousPeriodStart = subDays(previousPeriodEnd, this.previousPeriodDays);
 
+    return {
+      mode: 'relative',
+      current: { start: currentPeriodStart, end: now },
+      previous: { start: previousPeriodStart, end: previousPeriodEnd }
+    };
+  }
+
+  async analyzeRepository(repo, ranges = this.resolvePeriodRanges()) {
+    console.log(`\n🔍 Analyzing ${this.organization}/${repo}...`);
+
+    const now = new Date();
+    const { start: currentPeriodStart, end: currentPeriodEnd } = ranges.current;
+    const { start: previousPeriodStart, end: previousPeriodEnd } = ranges.previous;
+    const currentDays = getRangeDays(ranges.current);
+    const previousDays = getRangeDays(ranges.previous);
+
     try {
       const [currentPRs, previousPRs, currentCommits, previousCommits] = await Promise.all([
-        this.githubClient.getPullRequests(this.organization, repo, currentPeriodStart, now),
+        this.githubClient.getPullRequests(this.organization, repo, currentPeriodStart, currentPeriodEnd),
         this.githubClient.getPullRequests(this.organization, repo, previousPeriodStart, previousPeriodEnd),
-        this.githubClient.getCommits(this.organization, repo, currentPeriodStart, now),
+        this.githubClient.getCommits(this.organization, repo, currentPeriodStart, currentPeriodEnd),
         this.githubClient.getCommits(this.organization, repo, previousPeriodStart, previousPeriodEnd)
       ]);
 
-      console.log(`📊 Found ${currentPRs.length} current PRs, ${previousPRs.length} previous PRs`);
-      console.log(`📊 Found ${currentCommits.length} current commits, ${previousCommits.length} previous commits`);
+      console.log(`📊 ${repo}: found ${currentPRs.length} current PRs, ${previousPRs.length} previous PRs`);
+      console.log(`📊 ${repo}: found ${currentCommits.length} current commits, ${previousCommits.length} previous commits`);
+
+      let currentPRMetrics = await this.processPRs(currentPRs, repo);
+      let previousPRMetrics = await this.processPRs(previousPRs, repo);
+
+      // Bot and automation PRs are dropped or split off before anything is summarised
+      let bots;
+      let botPRMetrics = [];
+      if (this.botFilter.mode !== 'include') {
+        const current = this.botFilter.partition(currentPRMetrics);
+        const previous = this.botFilter.partition(previousPRMetrics);
+        currentPRMetrics = current.people;
+        previousPRMetrics = previous.people;
+        bots = this.summarizeBots(current.bots, previous.bots);
+        console.log(`🤖 ${repo}: ${bots.pullRequests.current} current and ${bots.pullRequests.previous} previous bot PRs ${this.botFilter.mode === 'exclude' ? 'excluded' : 'reported separately'}`);
+        if (this.botFilter.mode === 'segment') {
+          botPRMetrics = [...current.bots.map(metric => ({ ...metric, period: 'current' })), ...previous.bots.map(metric => ({ ...metric, period: 'previous' }))];
+        }
+      }
+
+      // Before the PRs are recorded, so their components reach the CSV export
+      const components = this.components[repo]
+        ? await this.analyzeComponents(repo, this.components[repo], currentPRMetrics, previousPRMetrics)
+        : undefined;
 
-      const currentPRMetrics = await this.processPRs(currentPRs, repo);
-      const previousPRMetrics = await this.processPRs(previousPRs, repo);
+      this.pullRequests.push(
+        ...currentPRMetrics.map(metric => ({ repository: repo, period: 'current', ...metric })),
+        ...previousPRMetrics.map(metric => ({ repository: repo, period: 'previous', ...metric })),
+        ...botPRMetrics.map(metric => ({ repository: repo, ...metric }))
+      );
 
+      const delivery = await this.fetchDeliveryData(repo, ranges);
       const currentSummary = this.analyzer.calculateMetricsSummary(currentPRMetrics);
       const previousSummary = this.analyzer.calculateMetricsSummary(previousPRMetrics);
+      const currentDora = delivery ? this.analyzer.analyzeDeliveryPerformance(
+        currentPRMetrics,
+        { ...delivery, periodStart: currentPeriodStart, periodEnd: currentPeriodEnd, periodDays: currentDays }
+      ) : undefined;
+      const previousDora = delivery ? this.analyzer.analyzeDeliveryPerformance(
+        previousPRMetrics,
+        { ...delivery, periodStart: previousPeriodStart, periodEnd: previousPeriodEnd, periodDays: previousDays }
+      ) : undefined;
 
-      const currentCommitFreq = this.analyzer.analyzeCommitFrequency(currentCommits, this.currentPeriodDays);
-      const previousCommitFreq = this.analyzer.analyzeCommitFrequency(previousCommits, this.previousPeriodDays);
+      const currentCommitFreq = this.analyzer.analyzeCommitFrequency(currentCommits, currentDays);
+      const previousCommitFreq = this.analyzer.analyzeCommitFrequency(previousCommits, previousDays);
 
-      const comparison = this.analyzer.comparePeriors(currentSummary, previousSummary);
+      const comparison = {
+        ...this.analyzer.comparePeriors(currentSummary, previousSummary, {
+          current: currentPRMetrics,
+          previous: previousPRMetrics
+        }),
+        dora: this.analyzer.compareDeliveryPerformance(currentDora, previousDora)
+      };
+      const aiUsage = summarizeAiUsage(currentPRMetrics, previousPRMetrics, this.analyzer);
+
+      const currentSeries = this.analyzer.buildSeries(currentPRMetrics, currentCommitFreq, ranges.current, this.seriesBucketDays);
+      const previousSeries = this.analyzer.buildSeries(previousPRMetrics, previousCommitFreq, ranges.previous, this.seriesBucketDays);
+      const changePoints = detectChangePoints([
+        { name: 'previous', range: ranges.previous, series: previousSeries, prs: previousPRMetrics },
+        { name: 'current', range: ranges.current, series: currentSeries, prs: currentPRMetrics }
+      ], this.analyzer);
 
       return {
         repository: repo,
         periods: {
           current: {
             start: format(currentPeriodStart, 'yyyy-MM-dd'),
-            end: format(now, 'yyyy-MM-dd'),
+            end: format(currentPeriodEnd, 'yyyy-MM-dd'),
+            startTime: currentPeriodStart.toISOString(),
+            endTime: currentPeriodEnd.toISOString(),
+            days: currentDays,
             prMetrics: currentSummary,
-            commitFrequency: currentCommitFreq
+            commitFrequency: currentCommitFreq,
+            dora: currentDora,
+            series: currentSeries
           },
           previous: {
             start: format(previousPeriodStart, 'yyyy-MM-dd'),
             end: format(previousPeriodEnd, 'yyyy-MM-dd'),
+            startTime: previousPeriodStart.toISOString(),
+            endTime: previousPeriodEnd.toISOString(),
+            days: previousDays,
             prMetrics: previousSummary,
-            commitFrequency: previousCommitFreq
+            commitFrequency: previousCommitFreq,
+            dora: previousDora,
+            series: previousSeries
           }
         },
         comparison,
+        changePoints,
+        aiUsage,
+        bots,
+        components,
         generatedAt: now.toISOString()
       };
 
@@ -84,80 +217,218 @@ class AIDeliveryAnalyzer {
     }
   }
 
+  // Counts of bot PRs per period and matching rule; in segment mode also their
+  // own summaries and comparison, shaped like a repository result
+  summarizeBots(currentBots, previousBots) {
+    const reasons = {};
+    for (const pr of [...currentBots, ...previousBots]) {
+      reasons[pr.botReason] = (reasons[pr.botReason] || 0) + 1;
+    }
+
+    return {
+      mode: this.botFilter.mode,
+      pullRequests: { current: currentBots.length, previous: previousBots.length },
+      reasons,
+      ...(this.botFilter.mode === 'segment' ? this.analyzer.compareSegment(currentBots, previousBots) : {})
+    };
+  }
+
+  // Per-PR metrics of the PRs merged in one range, for analyses that slice PRs
+  // by their own dates (see did.js). Bot PRs are dropped unless bots mode is include.
+  async collectPullRequests(repo, range) {
+    console.log(`\n🔍 Collecting ${this.organization}/${repo} PRs...`);
+    const prs = await this.githubClient.getPullRequests(this.organization, repo, range.start, range.end);
+    let metrics = await this.processPRs(prs, repo);
+    if (this.botFilter.mode !== 'include') {
+      metrics = this.botFilter.partition(metrics).people;
+    }
+    return metrics.map(metric => ({ repository: repo, ...metric }));
+  }
+
+  // Per-component summaries for a monorepo. Each PR's changed files are mapped
+  // to components via CODEOWNERS or the configured path patterns.
+  async analyzeComponents(repo, settings, currentPRMetrics, previousPRMetrics) {
+    let mapper;
+    if (settings.codeowners) {
+      const codeowners = await this.githubClient.getCodeowners(this.organization, repo);
+      if (!codeowners) {
+        console.warn(`⚠️  ${repo}: no CODEOWNERS file, skipping components`);
+        return { source: 'codeowners', error: 'No CODEOWNERS file found' };
+      }
+      mapper = ComponentMapper.fromCodeowners(codeowners);
+    } else {
+      mapper = ComponentMapper.fromPaths(settings.paths);
+    }
+
+    const prs = [...currentPRMetrics, ...previousPRMetrics];
+    console.log(`🧩 ${repo}: mapping files of ${prs.length} PRs to components (${mapper.source})...`);
+
+    const pool = new ConcurrencyPool(this.prConcurrency);
+    await pool.map(prs, async pr => {
+      try {
+        const paths = await this.githubClient.getPullRequestFiles(this.organization, repo, pr.number, pr.mergedAt.toISOString());
+        pr.components = mapper.componentsForFiles(paths);
+      } catch (error) {
+        console.warn(`⚠️  Could not fetch files for ${repo} PR #${pr.number}: ${error.message}`);
+        pr.components = null;
+      }
+    });
+
+    return summarizeComponents(mapper.source, currentPRMetrics, previousPRMetrics, this.analyzer);
+  }
+
+  // DORA settings for a repository: global `dora` config with per-repo overrides
+  getDoraOptions(repo) {
+    const { repositories = {}, ...defaults } = this.dora;
+    return { ...defaults, ...repositories[repo] };
+  }
+
+  // Deployments and incidents for both periods, fetched once per repository.
+  // Deployments run to the end of the current period plus a week so that late
+  // deploys of PRs merged near a period end still count towards lead time.
+  async fetchDeliveryData(repo, ranges) {
+    const dora = this.getDoraOptions(repo);
+    if (!dora.enabled) return null;
+
+    const since = ranges.previous.start < ranges.current.start ? ranges.previous.start : ranges.current.start;
+    const until = ranges.current.end > ranges.previous.end ? ranges.current.end : ranges.previous.end;
+    const deploymentsUntil = new Date(Math.min(Date.now(), addDays(until, 7).getTime()));
+
+    try {
+      const [deployments, incidents] = await Promise.all([
+        this.githubClient.getDeploymentEvents(this.organization, repo, since, deploymentsUntil, {
+          source: dora.deploymentSource,
+          environment: dora.environment,
+          tagPattern: dora.tagPattern
+        }),
+        this.githubClient.getIncidents(this.organization, repo, since, until, dora.incidentLabels)
+      ]);
+
+      return {
+        source: dora.deploymentSource,
+        failureLabels: dora.failureLabels,
+        deployments,
+        incidents
+      };
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch DORA data for ${repo}: ${error.message}`);
+      return null;
+    }
+  }
+
   async processPRs(prs, repo) {
     console.log(`📊 Processing ${prs.length} PRs for ${repo}...`);
     
     const prMetrics = [];
     let processed = 0;
     
-    // Process PRs in batches to manage memory and show progress
-    for (let i = 0; i < prs.length; i += this.batchSize) {
-      const batch = prs.slice(i, i + this.batchSize);
+    // GraphQL fetches a whole batch per query; REST fetches one PR per task.
+    // Either way up to prConcurrency tasks run at once, sharing the rate limiter.
+    const batchSize = this.api === 'graphql' ? this.graphqlBatchSize : 1;
+    const batches = [];
+    for (let i = 0; i < prs.length; i += batchSize) {
+      batches.push(prs.slice(i, i + batchSize));
+    }
+    
+    const pool = new ConcurrencyPool(this.prConcurrency);
+    const batchResults = await pool.map(batches, async batch => {
+      const detailsList = await this.fetchPRDetailsBatch(batch, repo);
+      const progressBefore = Math.floor(processed / 25);
+      processed += batch.length;
       
-      for (const pr of batch) {
-        try {
-          const prDetails = await this.githubClient.getPullRequestDetails(
-            this.organization, 
-            repo, 
-            pr.number,
-            pr.updated_at // For cache invalidation
-          );
-          
-          const metric = this.analyzer.analyzePullRequest(prDetails, prDetails.reviews);
-          if (metric) {
-            prMetrics.push(metric);
-          }
-          
-          processed++;
-          
-          // Show progress every 25 PRs
-          if (processed % 25 === 0) {
-            const percent = Math.round((processed / prs.length) * 100);
-            console.log(`  🔄 Processed ${processed}/${prs.length} PRs (${percent}%)`);
-          }
-          
-        } catch (error) {
-          console.warn(`⚠️  Could not fetch details for PR #${pr.number}: ${error.message}`);
-          processed++;
-        }
+      // Show progress every 25 PRs
+      if (Math.floor(processed / 25) > progressBefore) {
+        const percent = Math.round((processed / prs.length) * 100);
+        console.log(`  🔄 ${repo}: processed ${processed}/${prs.length} PRs (${percent}%)`);
+      }
+      
+      return detailsList;
+    });
+    
+    for (const prDetails of batchResults.flat()) {
+      if (prDetails.error) {
+        console.warn(`⚠️  Could not fetch details for ${repo} PR #${prDetails.number}: ${prDetails.error}`);
+        continue;
       }
       
-      // Small delay between batches to be gentle on API
-      if (i + this.batchSize < prs.length) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+      const metric = this.analyzer.analyzePullRequest(prDetails, prDetails.reviews);
+      if (metric) {
+        metric.aiSignals = this.aiClassifier.classify(prDetails, metric);
+        prMetrics.push(metric);
       }
     }
     
-    console.log(`  ✅ Processed ${processed} PRs, found ${prMetrics.length} valid metrics`);
+    console.log(`  ✅ ${repo}: processed ${processed} PRs, found ${prMetrics.length} valid metrics`);
     return prMetrics;
   }
 
+  // Fetch details for a batch of PRs, as one GraphQL query or one REST round-trip
+  // per PR. Failures are returned as { number, error } so a batch never aborts.
+  async fetchPRDetailsBatch(batch, repo) {
+    if (this.api === 'graphql') {
+      try {
+        return await this.githubClient.getPullRequestDetailsBulk(this.organization, repo, batch, this.graphqlBatchSize);
+      } catch (error) {
+        return batch.map(pr => ({ number: pr.number, error: error.message }));
+      }
+    }
+    
+    const detailsList = [];
+    for (const pr of batch) {
+      try {
+        detailsList.push(await this.githubClient.getPullRequestDetails(
+          this.organization, 
+          repo, 
+          pr.number,
+          pr.updated_at // For cache invalidation
+        ));
+      } catch (error) {
+        detailsList.push({ number: pr.number, error: error.message });
+      }
+    }
+    return detailsList;
+  }
+
   async generateReport() {
     console.log('🚀 Starting AI Delivery Speed Analysis');
-    const gapText = this.gapDays > 0 ? ` (with ${this.gapDays} day gap)` : '';
-    console.log(`📅 Comparing last ${this.currentPeriodDays} days vs previous ${this.previousPeriodDays} days${gapText}`);
+    const ranges = this.resolvePeriodRanges(new Date());
+    this.pullRequests = [];
+    if (ranges.mode === 'relative') {
+      const gapText = this.gapDays > 0 ? ` (with ${this.gapDays} day gap)` : '';
+      console.log(`📅 Comparing last ${this.currentPeriodDays} days vs previous ${this.previousPeriodDays} days${gapText}`);
+    } else {
+      const rolloutText = ranges.mode === 'rollout' ? ` around rollout on ${format(ranges.rolloutDate, 'yyyy-MM-dd')}` : '';
+      console.log(`📅 Comparing ${formatRange(ranges.current)} vs ${formatRange(ranges.previous)}${rolloutText}`);
+    }
     console.log(`📁 Analyzing ${this.repositories.length} repositories\n`);
     
     // Clean up expired cache entries before starting
     this.githubClient.cleanup();
     
     const startTime = Date.now();
-    const results = [];
+    const total = this.repositories.length;
+    let started = 0;
     let completed = 0;
 
-    for (const repo of this.repositories) {
+    // Repositories run concurrently up to repoConcurrency; results keep input order
+    const pool = new ConcurrencyPool(this.repoConcurrency);
+    const results = await pool.map(this.repositories, async repo => {
+      started++;
       console.log(`
-📊 Repository ${completed + 1}/${this.repositories.length}: ${repo}`);
-      const result = await this.analyzeRepository(repo);
-      results.push(result);
+📊 Repository ${started}/${total}: ${repo}${pool.active > 1 ? ` (${pool.active} running)` : ''}`);
+      const result = await this.analyzeRepository(repo, ranges);
       
       completed++;
       const elapsed = Math.round((Date.now() - startTime) / 1000);
+      // Wall-clock time per completed repo already reflects the parallelism
       const avgTime = elapsed / completed;
-      const remaining = Math.round(avgTime * (this.repositories.length - completed));
+      const remaining = Math.round(avgTime * (total - completed));
+      const inFlight = pool.active - 1;
+      const inFlightText = inFlight > 0 ? `, ${inFlight} still running` : '';
       
-      console.log(`  ✅ Completed (${elapsed}s elapsed, ~${remaining}s remaining)`);
-    }
+      console.log(`  ✅ Completed ${repo} (${completed}/${total} done${inFlightText}, ${elapsed}s elapsed, ~${remaining}s remaining)`);
+      return result;
+    });
     
     // Display API usage statistics
     this.githubClient.displayStats();
@@ -165,117 +436,113 @@ class AIDeliveryAnalyzer {
     const totalTime = Math.round((Date.now() - startTime) / 1000);
     console.log(`\n🏁 Analysis completed in ${totalTime}s`);
 
-    return this.formatReport(results);
+    const report = this.formatReport(results, ranges);
+    if (this.teams.length > 0) {
+      report.teams = await this.analyzeTeams();
+    }
+    report.aiUsage = this.analyzeAiUsage();
+    return report;
   }
 
-  formatReport(results) {
-    console.log('\n' + '='.repeat(60));
-    console.log('🤖 AI TOOLING DELIVERY IMPACT REPORT');
-    console.log('='.repeat(60));
-
-    let totalImprovements = [];
-
-    results.forEach(result => {
-      if (result.error) {
-        console.log(`\n❌ ${result.repository}: Error - ${result.error}`);
-        return;
-      }
-
-      const { comparison, periods } = result;
-      
-      console.log(`\n📂 Repository: ${result.repository}`);
-      console.log(`Current Period: ${periods.current.start} to ${periods.current.end}`);
-      console.log(`Previous Period: ${periods.previous.start} to ${periods.previous.end}`);
-      
-      if (comparison.summary) {
-        console.log(`\n✨ ${comparison.summary}`);
-        totalImprovements.push(comparison.overallImprovement);
-      }
+  // AI-assisted vs non-assisted PRs across all repositories
+  analyzeAiUsage() {
+    const prs = this.pullRequests.filter(pr => !pr.botReason);
+    return summarizeAiUsage(
+      prs.filter(pr => pr.period === 'current'),
+      prs.filter(pr => pr.period === 'previous'),
+      this.analyzer
+    );
+  }
 
-      if (periods.current.prMetrics && periods.previous.prMetrics) {
-        this.printMetricComparison('Cycle Time (Hours)', 
-          periods.previous.prMetrics.cycleTime.avgHours,
-          periods.current.prMetrics.cycleTime.avgHours,
-          comparison.cycleTime);
-
-        this.printMetricComparison('Review Time (Hours)', 
-          periods.previous.prMetrics.reviewTime.avgHours,
-          periods.current.prMetrics.reviewTime.avgHours,
-          comparison.reviewTime);
-
-        this.printMetricComparison('PR Size (Changes)', 
-          periods.previous.prMetrics.prSize.avgChanges,
-          periods.current.prMetrics.prSize.avgChanges,
-          comparison.prSize);
-
-        this.printMetricComparison('Total PRs', 
-          periods.previous.prMetrics.totalPRs,
-          periods.current.prMetrics.totalPRs,
-          comparison.totalPRs);
-
-        console.log('\n📈 Top Contributors (Current Period):');
-        periods.current.prMetrics.topContributors.slice(0, 5).forEach((contributor, index) => {
-          console.log(`  ${index + 1}. ${contributor.author}: ${contributor.totalPRs} PRs, ${contributor.avgCycleTime?.toFixed(1)}h avg cycle time`);
-        });
-      }
+  // Team summaries from the per-PR metrics collected across all repositories
+  async analyzeTeams() {
+    const teams = await syncTeamMembers(this.teams, this.githubClient, this.organization);
+    return analyzeTeams(teams, this.pullRequests.filter(pr => !pr.botReason), this.analyzer);
+  }
 
-      console.log('\n💻 Commit Activity:');
-      console.log(`  Current: ${periods.current.commitFrequency.avgCommitsPerDay.toFixed(1)} commits/day`);
-      console.log(`  Previous: ${periods.previous.commitFrequency.avgCommitsPerDay.toFixed(1)} commits/day`);
-    });
+  formatReport(results, ranges = this.resolvePeriodRanges()) {
+    const analyzed = results.filter(result => !result.error && result.comparison?.summary);
+    const totalImprovements = analyzed.map(result => result.comparison.overallImprovement);
+    const significantRepositories = analyzed.filter(({ comparison }) =>
+      comparison.cycleTime?.significance?.isSignificant || comparison.reviewTime?.significance?.isSignificant
+    ).length;
 
-    if (totalImprovements.length > 0) {
-      const overallImprovement = totalImprovements.reduce((a, b) => a + b, 0) / totalImprovements.length;
-      const direction = overallImprovement > 0 ? 'faster' : 'slower';
-      
-      console.log('\n' + '='.repeat(60));
-      console.log('🎯 OVERALL IMPACT SUMMARY');
-      console.log('='.repeat(60));
-      console.log(`AI tooling impact: ${Math.abs(overallImprovement).toFixed(1)}% ${direction} delivery across all repositories`);
-      
-      if (Math.abs(overallImprovement) > 10) {
-        console.log('\n💡 RECOMMENDATIONS:');
-        if (overallImprovement > 0) {
-          console.log('✅ Significant improvement detected! Consider:');
-          console.log('  - Expanding AI tool adoption to more teams');
-          console.log('  - Documenting best practices from top performers');
-          console.log('  - Training sessions for teams showing less improvement');
-        } else {
-          console.log('⚠️  Performance regression detected. Consider:');
-          console.log('  - Reviewing AI tool usage patterns');
-          console.log('  - Providing additional training');
-          console.log('  - Investigating if tool changes caused issues');
-        }
-      }
-    }
+    const botResults = results.filter(result => result.bots);
+    const botPRs = botResults.length > 0 ? {
+      mode: botResults[0].bots.mode,
+      current: botResults.reduce((sum, result) => sum + result.bots.pullRequests.current, 0),
+      previous: botResults.reduce((sum, result) => sum + result.bots.pullRequests.previous, 0)
+    } : null;
 
     return {
       summary: {
         totalRepositories: results.length,
+        analyzedRepositories: analyzed.length,
         overallImprovementPercent: totalImprovements.length > 0 
           ? totalImprovements.reduce((a, b) => a + b, 0) / totalImprovements.length 
           : 0,
+        significantRepositories,
+        botPRs,
+        organization: this.organization,
+        periods: describePeriodRanges(ranges),
         generatedAt: new Date().toISOString()
       },
       repositories: results
     };
   }
+}
 
-  printMetricComparison(metricName, oldValue, newValue, comparison) {
-    if (!comparison || comparison.improvement === null) return;
-    
-    const arrow = comparison.isImprovement ? '↗️' : '↘️';
-    const sign = comparison.improvement > 0 ? '+' : '';
-    
-    console.log(`  ${metricName}: ${oldValue?.toFixed(1)} → ${newValue?.toFixed(1)} (${sign}${comparison.improvement.toFixed(1)}%) ${arrow}`);
+function getRangeDays(range) {
+  return Math.max(1, Math.round((range.end - range.start) / (24 * 60 * 60 * 1000)));
+}
+
+function formatRange(range) {
+  return `${format(range.start, 'yyyy-MM-dd')} to ${format(range.end, 'yyyy-MM-dd')}`;
+}
+
+// Serializable description of the analysed windows, including the CLI
+// arguments that regenerate exactly the same report.
+function describePeriodRanges(ranges) {
+  const current = { since: ranges.current.start.toISOString(), until: ranges.current.end.toISOString() };
+  const previous = { since: ranges.previous.start.toISOString(), until: ranges.previous.end.toISOString() };
+
+  return {
+    mode: ranges.mode,
+    rolloutDate: ranges.rolloutDate ? format(ranges.rolloutDate, 'yyyy-MM-dd') : null,
+    current,
+    previous,
+    arguments: `--since ${current.since} --until ${current.until} --compare-since ${previous.since} --compare-until ${previous.until}`
+  };
+}
+
+// Parse a --since/--until style option. Date-only values are expanded to the
+// start (or, with `inclusiveEnd`, the end) of that day in local time.
+function parseDateOption(value, optionName, inclusiveEnd = false) {
+  const date = parseISO(value);
+  if (!isValid(date)) {
+    console.error(`❌ Invalid date for ${optionName}: ${value}`);
+    console.log('💡 Use ISO format, e.g. 2026-03-01 or 2026-03-01T09:00:00Z');
+    process.exit(1);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return inclusiveEnd ? endOfDay(date) : startOfDay(date);
   }
+  return date;
+}
+
+// Commander collector for repeatable options
+function collectValues(value, previous) {
+  return previous.concat(value);
 }
 
 function getDateRangePresets() {
   return {
     weekly: 7,
     monthly: 30,
-    quarterly: 90
+    quarterly: 90,
+    '6months': 180,
+    yearly: 365
   };
 }
 
@@ -286,21 +553,125 @@ async function main() {
     .name('github-ai-analyzer')
     .description('Analyze GitHub repositories to measure AI tooling impact on delivery speed')
     .version('1.0.0')
+    .enablePositionalOptions() // Keep subcommand options (e.g. trend --output-dir) separate
     .option('-r, --repos <repos>', 'Comma-separated list of repositories to analyze')
     .option('-o, --org <organization>', 'GitHub organization name')
-    .option('-p, --period <preset>', 'Time period preset (weekly, monthly, quarterly)', 'quarterly')
+    .option('-p, --period <preset>', 'Time period preset (weekly, monthly, quarterly, 6months, yearly), defaults to config defaultPeriod')
     .option('-d, --days <days>', 'Custom number of days for current analysis period')
     .option('--compare-days <days>', 'Number of days for comparison period (defaults to same as current period)')
     .option('--gap-days <days>', 'Number of gap days between current and comparison periods', '0')
-    .option('--output-dir <dir>', 'Output directory for reports', 'reports')
+    .option('--since <date>', 'Start date of the current period (ISO date, overrides --days)')
+    .option('--until <date>', 'End date of the current period, inclusive (ISO date, defaults to now)')
+    .option('--compare-since <date>', 'Start date of the comparison period (ISO date)')
+    .option('--compare-until <date>', 'End date of the comparison period, inclusive (ISO date)')
+    .option('--rollout-date <date>', 'Compare equal windows before and after a tool rollout date (ISO date)')
+    .option('--api <api>', 'API used for PR details (rest, graphql)', 'rest')
+    .option('--graphql-batch-size <size>', 'PRs per GraphQL query (1-100)', '50')
+    .option('--concurrency <n>', 'Number of repositories analysed in parallel', '1')
+    .option('--pr-concurrency <n>', 'Number of PR detail requests in flight per repository', '4')
+    .option('--dora', 'Compute DORA metrics (deployments, lead time, change failure rate, time to restore)')
+    .option('--bucket-days <days>', 'Bucket size in days of the series within each period (defaults to config series.bucketDays, 7)')
+    .option('--business-hours', 'Also report cycle and review time in business hours (see workingCalendar in config.json)')
+    .option('--output-dir <dir>', 'Output directory for reports (defaults to config outputDirectory)')
+    .option('--format <formats>', 'Report formats (console, json, markdown, html, openmetrics), comma-separated or repeated', collectValues, [])
+    .option('--textfile-collector <dir>', 'Also write OpenMetrics to <dir>/ai-delivery-<org>.prom for the node_exporter textfile collector')
+    .option('--export-csv', 'Also write per-PR and per-repository CSV files')
+    .option('--gate', 'Evaluate the gate rules from config.json and exit with code 2 on violations')
+    .option('--gate-rule <rule>', 'Additional gate rule, e.g. "reviewTime.median > 24" (repeatable, implies --gate)', collectValues, [])
+    .option('--gate-output <file>', 'Write the gate result with its violations list as JSON')
+    .option('--junit <file>', 'Write the gate result as JUnit XML')
+    .option('--bots <mode>', 'Bot and automation PRs: exclude, segment (report separately) or include (defaults to config bots.mode, exclude)')
+    .option('--no-notify', 'Skip the webhooks configured under notifications in config.json')
     .option('--discover-repos', 'Auto-discover repositories for the organization')
     .option('--discover-active', 'Only discover repositories with recent activity')
     .option('--setup', 'Run interactive setup to create configuration file')
     .option('--check-limits', 'Check current GitHub API rate limit status')
-    .parse();
+    .action(runAnalysis);
 
-  const options = program.opts();
-  
+  program
+    .command('trend')
+    .description('Show week-over-week or month-over-month trends from the report history')
+    .option('-r, --repos <repos>', 'Comma-separated list of repositories to show (default: all)')
+    .option('--interval <interval>', 'Bucket size (week, month)', 'week')
+    .option('--limit <n>', 'Number of most recent buckets to show', '12')
+    .option('--output-dir <dir>', 'Directory holding history.jsonl (defaults to config outputDirectory)')
+    .option('--import', 'Backfill the history from existing report files first')
+    .option('--json', 'Print the series as JSON')
+    .action(async options => {
+      const { runTrend } = require('./trend');
+      await runTrend(options);
+    });
+
+  program
+    .command('diff <reportA> <reportB>')
+    .description('Compare two saved JSON reports (reportA is the older one)')
+    .option('--json', 'Print the diff as JSON')
+    .action(async (reportA, reportB, options) => {
+      const { runDiff } = require('./report-diff');
+      await runDiff(reportA, reportB, options);
+    });
+
+  program
+    .command('did')
+    .description('Estimate the effect of AI adoption with a difference-in-differences analysis around the adoption dates in config.json')
+    .option('-r, --repos <repos>', 'Comma-separated list of repositories to analyze (defaults to config repositories)')
+    .option('--group-by <group>', 'Groups with adoption dates: repository or team (defaults to config did.groupBy)')
+    .option('--window-days <days>', 'Days before and after each adoption date (defaults to config did.windowDays, 90)')
+    .option('--output <file>', 'Also write the estimates as JSON')
+    .action(async options => {
+      const { runDid } = require('./did');
+      await runDid(options);
+    });
+
+  program
+    .command('serve')
+    .description('Serve a JSON API and dashboard for the configured repositories')
+    .option('--host <host>', 'Interface to listen on (defaults to config server.host, 127.0.0.1)')
+    .option('--port <port>', 'Port to listen on (defaults to config server.port, 3000)')
+    .option('--output-dir <dir>', 'Directory with saved reports (defaults to config outputDirectory)')
+    .action(async options => {
+      const { runServe } = require('./server');
+      await runServe(options);
+    });
+
+  program
+    .command('daemon')
+    .description('Run the analyses scheduled in config.json until stopped')
+    .option('--run-now', 'Run every schedule once at startup')
+    .option('--status', 'Print the last success/failure of each schedule and exit')
+    .option('--json', 'With --status, print the state as JSON')
+    .option('--state-file <file>', 'Daemon state file (defaults to config daemon.stateFile or <outputDirectory>/daemon-state.json)')
+    .action(async options => {
+      const { runDaemon } = require('./daemon');
+      await runDaemon(options);
+    });
+
+  program
+    .command('gate <report>')
+    .description('Evaluate gate rules against a saved JSON report (exit code 2 on violations)')
+    .option('--gate-rule <rule>', 'Additional gate rule, e.g. "cycleTime.regression > 20" (repeatable)', collectValues, [])
+    .option('--gate-output <file>', 'Write the gate result with its violations list as JSON')
+    .option('--junit <file>', 'Write the gate result as JUnit XML')
+    .action(async (report, options) => {
+      const { runGateCommand } = require('./gate');
+      await runGateCommand(report, { ...options, output: options.gateOutput });
+    });
+
+  program
+    .command('notify <report>')
+    .description('Post a saved JSON report to the configured webhooks (or --webhook)')
+    .option('--webhook <url>', 'Send to this URL instead of the configured webhooks')
+    .option('--template <template>', 'Payload template for --webhook (generic, slack, teams)', 'generic')
+    .option('--threshold <percent>', 'Regression threshold in percent for --webhook', '10')
+    .action(async (report, options) => {
+      const { runNotify } = require('./notifier');
+      await runNotify(report, options);
+    });
+
+  await program.parseAsync();
+}
+
+async function runAnalysis(options) {
   // Handle setup mode
   if (options.setup) {
     const { runSetup } = require('./setup');
@@ -389,16 +760,17 @@ async function main() {
       console.error('❌ Days must be a positive number');
       process.exit(1);
     }
-    if (currentPeriodDays > 90) {
-      console.error('❌ Maximum analysis period is 90 days');
-      console.log('💡 Use --period quarterly for 90-day analysis');
+    if (currentPeriodDays > MAX_PERIOD_DAYS) {
+      console.error(`❌ Maximum analysis period is ${MAX_PERIOD_DAYS} days`);
+      console.log('💡 Use --period yearly for 365-day analysis');
       process.exit(1);
     }
   } else {
     const presets = getDateRangePresets();
-    currentPeriodDays = presets[options.period];
+    const period = options.period || config.defaultPeriod;
+    currentPeriodDays = presets[period];
     if (!currentPeriodDays) {
-      console.error(`❌ Invalid period preset: ${options.period}`);
+      console.error(`❌ Invalid period preset: ${period}`);
       console.log('Valid presets:', Object.keys(presets).join(', '));
       process.exit(1);
     }
@@ -412,8 +784,8 @@ async function main() {
       console.error('❌ Compare days must be a positive number');
       process.exit(1);
     }
-    if (previousPeriodDays > 90) {
-      console.error('❌ Maximum comparison period is 90 days');
+    if (previousPeriodDays > MAX_PERIOD_DAYS) {
+      console.error(`❌ Maximum comparison period is ${MAX_PERIOD_DAYS} days`);
       process.exit(1);
     }
   }
@@ -428,30 +800,242 @@ async function main() {
     }
   }
 
+  // Parse series bucket size
+  const seriesBucketDays = options.bucketDays !== undefined ? parseInt(options.bucketDays) : config.series.bucketDays;
+  if (!Number.isInteger(seriesBucketDays) || seriesBucketDays < 1) {
+    console.error('❌ Bucket days must be a positive number');
+    process.exit(1);
+  }
+
+  // Parse API selection
+  if (!['rest', 'graphql'].includes(options.api)) {
+    console.error(`❌ Invalid API: ${options.api}`);
+    console.log('Valid APIs: rest, graphql');
+    process.exit(1);
+  }
+  const graphqlBatchSize = parseInt(options.graphqlBatchSize);
+  if (isNaN(graphqlBatchSize) || graphqlBatchSize < 1 || graphqlBatchSize > 100) {
+    console.error('❌ GraphQL batch size must be between 1 and 100');
+    process.exit(1);
+  }
+
+  // Parse concurrency
+  const repoConcurrency = parseInt(options.concurrency);
+  const prConcurrency = parseInt(options.prConcurrency);
+  if (isNaN(repoConcurrency) || repoConcurrency < 1 || isNaN(prConcurrency) || prConcurrency < 1) {
+    console.error('❌ Concurrency must be a positive number');
+    process.exit(1);
+  }
+
+  // Parse report formats
+  const formats = parseFormats(options.format.length > 0 ? options.format : ['console', 'json']);
+  const unknownFormats = formats.filter(name => !RENDERERS[name]);
+  if (formats.length === 0 || unknownFormats.length > 0) {
+    console.error(`❌ Invalid format: ${unknownFormats.join(', ') || options.format.join(',')}`);
+    console.log('Valid formats:', Object.keys(RENDERERS).join(', '));
+    process.exit(1);
+  }
+
+  // Parse gate rules
+  let gateRules = null;
+  if (options.gate || options.gateRule.length > 0 || options.gateOutput || options.junit) {
+    try {
+      gateRules = loadGateRules(config, options.gateRule);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    if (gateRules.length === 0) {
+      console.error('❌ No gate rules configured');
+      console.log('💡 Add rules to the "gate" section of config.json or pass --gate-rule "reviewTime.median > 24"');
+      process.exit(1);
+    }
+  }
+
+  // Validate team definitions
+  let teams;
+  try {
+    teams = normalizeTeams(config.teams);
+  } catch (error) {
+    console.error(`❌ Invalid teams config: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Validate monorepo component definitions
+  let components;
+  try {
+    components = normalizeComponents(config.components);
+  } catch (error) {
+    console.error(`❌ Invalid components config: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Build the bot PR rules
+  if (options.bots && !BOT_MODES.includes(options.bots)) {
+    console.error(`❌ Invalid bots mode: ${options.bots}`);
+    console.log('Valid modes:', BOT_MODES.join(', '));
+    process.exit(1);
+  }
+  let botFilter;
+  try {
+    botFilter = BotFilter.fromConfig(config, options.bots);
+  } catch (error) {
+    console.error(`❌ Invalid bots config: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Build the AI-assisted PR rules
+  let aiClassifier;
+  try {
+    aiClassifier = AiUsageClassifier.fromConfig(config);
+  } catch (error) {
+    console.error(`❌ Invalid aiUsage config: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Validate webhook settings before a long analysis
+  let notifier = null;
+  if (options.notify && config.notifications.webhooks.length > 0) {
+    try {
+      notifier = Notifier.fromConfig(config);
+    } catch (error) {
+      console.error(`❌ Invalid notification settings: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Build the working calendar for business-hour figures
+  let calendar = null;
+  if (options.businessHours || config.workingCalendar.enabled) {
+    try {
+      calendar = WorkingCalendar.fromConfig(config.workingCalendar);
+    } catch (error) {
+      console.error(`❌ Invalid working calendar: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Parse absolute date ranges
+  let periodRanges = null;
+  const now = new Date();
+  const hasAbsoluteRange = options.since || options.until || options.compareSince || options.compareUntil;
+
+  if (options.rolloutDate) {
+    if (hasAbsoluteRange) {
+      console.error('❌ --rollout-date cannot be combined with --since/--until/--compare-since/--compare-until');
+      process.exit(1);
+    }
+
+    const rolloutDate = parseDateOption(options.rolloutDate, '--rollout-date');
+    const daysSinceRollout = differenceInCalendarDays(now, rolloutDate);
+    if (daysSinceRollout <= 0) {
+      console.error('❌ Rollout date must be in the past');
+      process.exit(1);
+    }
+
+    let windowDays = currentPeriodDays;
+    if (daysSinceRollout < windowDays) {
+      console.warn(`⚠️  Only ${daysSinceRollout} days since rollout, using ${daysSinceRollout}-day windows on both sides`);
+      windowDays = daysSinceRollout;
+    }
+
+    periodRanges = {
+      mode: 'rollout',
+      rolloutDate,
+      current: { start: rolloutDate, end: addDays(rolloutDate, windowDays) },
+      previous: { start: subDays(rolloutDate, windowDays), end: rolloutDate }
+    };
+  } else if (hasAbsoluteRange) {
+    const currentEnd = options.until ? parseDateOption(options.until, '--until', true) : now;
+    const currentStart = options.since
+      ? parseDateOption(options.since, '--since')
+      : subDays(currentEnd, currentPeriodDays);
+
+    const previousEnd = options.compareUntil
+      ? parseDateOption(options.compareUntil, '--compare-until', true)
+      : subDays(currentStart, gapDays);
+    const previousLength = options.compareDays ? previousPeriodDays : getRangeDays({ start: currentStart, end: currentEnd });
+    const previousStart = options.compareSince
+      ? parseDateOption(options.compareSince, '--compare-since')
+      : subDays(previousEnd, previousLength);
+
+    periodRanges = {
+      mode: 'absolute',
+      current: { start: currentStart, end: currentEnd },
+      previous: { start: previousStart, end: previousEnd }
+    };
+  }
+
+  if (periodRanges) {
+    for (const [name, range] of Object.entries({ current: periodRanges.current, comparison: periodRanges.previous })) {
+      if (range.start >= range.end) {
+        console.error(`❌ The ${name} period must start before it ends (${formatRange(range)})`);
+        process.exit(1);
+      }
+      if (range.start > now) {
+        console.error(`❌ The ${name} period starts in the future (${formatRange(range)})`);
+        process.exit(1);
+      }
+      if (getRangeDays(range) > MAX_PERIOD_DAYS) {
+        console.error(`❌ Maximum ${name} period is ${MAX_PERIOD_DAYS} days (got ${getRangeDays(range)})`);
+        process.exit(1);
+      }
+      if (range.end > now) {
+        range.end = now;
+      }
+    }
+  }
+
   const analyzerOptions = {
     repositories,
     organization,
     currentPeriodDays,
     previousPeriodDays,
     gapDays,
+    periodRanges,
+    api: options.api,
+    graphqlBatchSize,
+    repoConcurrency,
+    prConcurrency,
+    calendar,
+    dora: { ...config.dora, enabled: options.dora || config.dora.enabled },
     excludeRepositories: config.excludeRepositories,
-    repositoryFilters: config.repositoryFilters
+    repositoryFilters: config.repositoryFilters,
+    teams,
+    components,
+    botFilter,
+    aiClassifier,
+    seriesBucketDays
   };
 
   const analyzer = new AIDeliveryAnalyzer(analyzerOptions);
   
+  const outputDir = options.outputDir || config.outputDirectory;
+  
   try {
     const report = await analyzer.generateReport();
     
-    const fs = require('fs');
-    if (!fs.existsSync(options.outputDir)) {
-      fs.mkdirSync(options.outputDir, { recursive: true });
-    }
+    const { files } = saveReport(report, {
+      outputDir,
+      formats,
+      textfileCollector: options.textfileCollector,
+      pullRequests: options.exportCsv ? analyzer.pullRequests : null
+    });
     
-    const filename = `${options.outputDir}/ai-delivery-analysis-${format(new Date(), 'yyyy-MM-dd-HH-mm')}.json`;
-    fs.writeFileSync(filename, JSON.stringify(report, null, 2));
+    if (notifier) {
+      await notifier.notify(report, files);
+    }
     
-    console.log(`\n💾 Full report saved to: ${filename}`);
+    if (gateRules) {
+      const gateResult = runGate(report, gateRules, {
+        output: options.gateOutput,
+        junit: options.junit,
+        failOnError: config.gate.failOnError
+      });
+      if (!gateResult.passed) {
+        process.exitCode = GATE_EXIT_CODE;
+      }
+    }
     
   } catch (error) {
     console.error('❌ Analysis failed:', error.message);
@@ -459,8 +1043,10 @@ async function main() {
   }
 }
 
+// Exported before main() runs so lazily required subcommands (serve, daemon) can use it
+module.exports = AIDeliveryAnalyzer;
+module.exports.getDateRangePresets = getDateRangePresets;
+
 if (require.main === module) {
   main();
-}
-
-module.exports = AIDeliveryAnalyzer;
\ No newline at end of file
+}
\ No newline at end of file
@@ -1,7 +1,26 @@
 const { differenceInHours, differenceInDays } = require('date-fns');
+const { mannWhitneyU, bootstrapPercentChangeCI, formatPValue } = require('./statistics');
+
+// Cycle-time histogram buckets used by the report renderers
+const CYCLE_TIME_BUCKETS = [
+  { label: '<4h', maxHours: 4 },
+  { label: '4-8h', maxHours: 8 },
+  { label: '8-24h', maxHours: 24 },
+  { label: '1-2d', maxHours: 48 },
+  { label: '2-4d', maxHours: 96 },
+  { label: '4-7d', maxHours: 168 },
+  { label: '1-2w', maxHours: 336 },
+  { label: '>2w', maxHours: null }
+];
 
 class MetricsAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.significanceLevel = options.significanceLevel || 0.05;
+    this.bootstrapIterations = options.bootstrapIterations || 1000;
+    this.minSampleSize = options.minSampleSize || 5; // Per period, below this no test is run
+    this.calendar = options.calendar || null; // WorkingCalendar for business-hour figures
+    this.botFilter = options.botFilter || null; // Bot responses (CI, coverage) don't end the wait for review
+
     this.metrics = {
       cycleTime: [],
       reviewTime: [],
@@ -26,6 +45,23 @@ class MetricsAnalyzer {
       ? differenceInHours(new Date(firstApprovalReview.submitted_at), createdAt)
       : null;
 
+    // Earliest authored commit, the start of "lead time for changes"
+    const commitDates = (pr.commits || [])
+      .map(commit => commit.commit?.author?.date)
+      .filter(Boolean)
+      .map(date => new Date(date));
+    const firstCommitAt = commitDates.length > 0
+      ? new Date(Math.min(...commitDates))
+      : createdAt;
+
+    // Same spans counted in working hours only, when a calendar is configured
+    const cycleTimeBusinessHours = this.calendar
+      ? this.calendar.businessHoursBetween(createdAt, mergedAt)
+      : null;
+    const reviewTimeBusinessHours = this.calendar && firstApprovalReview
+      ? this.calendar.businessHoursBetween(createdAt, new Date(firstApprovalReview.submitted_at))
+      : null;
+
     const prSizeMetric = {
       additions: pr.additions,
       deletions: pr.deletions,
@@ -39,10 +75,69 @@ class MetricsAnalyzer {
       author: pr.user.login,
       createdAt,
       mergedAt,
+      firstCommitAt,
       cycleTimeHours,
       reviewTimeHours,
+      cycleTimeBusinessHours,
+      reviewTimeBusinessHours,
       prSize: prSizeMetric,
-      labels: pr.labels.map(label => label.name)
+      labels: pr.labels.map(label => label.name),
+      isRevert: /^Revert "/.test(pr.title || ''),
+      stages: this.analyzeStages(pr, reviews, createdAt, mergedAt)
+    };
+  }
+
+  // Where a PR's cycle time went: time in draft, waiting for the first review or
+  // comment by someone other than the author or a bot once ready, review iterations up to
+  // the final approval, and final approval to merge. Fractional hours, since the
+  // later stages are often shorter than an hour. Stages that didn't happen are null;
+  // draft time is null too when the details carry no timeline events.
+  analyzeStages(pr, reviews, createdAt, mergedAt) {
+    const hoursBetween = (from, to) => Math.max(0, (to - from) / (60 * 60 * 1000));
+    const author = pr.user?.login;
+    const events = (pr.timeline_events || [])
+      .map(event => ({ ...event, at: new Date(event.created_at) }))
+      .sort((a, b) => a.at - b.at);
+
+    // A PR whose first draft transition is ready_for_review was opened as a draft
+    const transitions = events.filter(event => event.event === 'ready_for_review' || event.event === 'convert_to_draft');
+    let draftSince = transitions[0]?.event === 'ready_for_review' ? createdAt : null;
+    let readyAt = draftSince ? null : createdAt;
+    let draftHours = 0;
+    for (const transition of transitions) {
+      if (transition.event === 'convert_to_draft' && !draftSince) {
+        draftSince = transition.at;
+      } else if (transition.event === 'ready_for_review' && draftSince) {
+        draftHours += hoursBetween(draftSince, transition.at);
+        draftSince = null;
+        readyAt = readyAt || transition.at;
+      }
+    }
+    readyAt = readyAt || createdAt;
+
+    const responses = [
+      ...reviews.filter(review => review.submitted_at).map(review => ({ login: review.user?.login, at: new Date(review.submitted_at) })),
+      ...(pr.review_comments || []).map(comment => ({ login: comment.user?.login, at: new Date(comment.created_at) })),
+      ...events.filter(event => event.event === 'commented').map(event => ({ login: event.actor?.login, at: event.at }))
+    ]
+      .filter(response => (!author || response.login !== author) && !this.botFilter?.isBotLogin(response.login))
+      .sort((a, b) => a.at - b.at);
+    const firstResponseAt = responses[0]?.at || null;
+
+    const approvals = reviews
+      .filter(review => review.state === 'APPROVED' && review.submitted_at && new Date(review.submitted_at) <= mergedAt)
+      .map(review => new Date(review.submitted_at))
+      .sort((a, b) => a - b);
+    const finalApprovalAt = approvals[approvals.length - 1] || null;
+    const changesRequested = reviews.filter(review => review.state === 'CHANGES_REQUESTED').length;
+
+    return {
+      draftHours: pr.timeline_events ? draftHours : null,
+      waitForReviewHours: firstResponseAt ? hoursBetween(readyAt, firstResponseAt) : null,
+      reviewIterationHours: firstResponseAt && finalApprovalAt ? hoursBetween(firstResponseAt, finalApprovalAt) : null,
+      approvalToMergeHours: finalApprovalAt ? hoursBetween(finalApprovalAt, mergedAt) : null,
+      // One round per change request, plus the round that ended in approval
+      reviewIterations: reviews.length > 0 ? changesRequested + 1 : 0
     };
   }
 
@@ -78,6 +173,41 @@ class MetricsAnalyzer {
     };
   }
 
+  // Series of buckets within one period: merged PRs, median cycle and review
+  // time, and commits from analyzeCommitFrequency().commitsByDay. Buckets run
+  // `bucketDays` from the period start; the last one may be shorter.
+  buildSeries(prMetrics, commitFrequency, range, bucketDays = 7) {
+    const bucketMs = bucketDays * 24 * 60 * 60 * 1000;
+    const count = Math.max(1, Math.ceil((range.end - range.start) / bucketMs));
+    const indexOf = date => Math.min(count - 1, Math.max(0, Math.floor((date - range.start) / bucketMs)));
+
+    const buckets = Array.from({ length: count }, () => ({ prs: [], commits: 0 }));
+    prMetrics.forEach(pr => buckets[indexOf(pr.mergedAt)].prs.push(pr));
+    // Commit days are UTC dates, so each counts towards the bucket holding its midday
+    for (const [day, { count: commits }] of Object.entries(commitFrequency?.commitsByDay || {})) {
+      buckets[indexOf(new Date(`${day}T12:00:00Z`))].commits += commits;
+    }
+
+    const points = buckets.map((bucket, index) => {
+      const start = new Date(range.start.getTime() + index * bucketMs);
+      const end = new Date(Math.min(range.end.getTime(), start.getTime() + bucketMs));
+      const cycleTimes = bucket.prs.filter(pr => pr.cycleTimeHours !== null).map(pr => pr.cycleTimeHours);
+      const reviewTimes = bucket.prs.filter(pr => pr.reviewTimeHours !== null).map(pr => pr.reviewTimeHours);
+
+      return {
+        start: start.toISOString().split('T')[0],
+        end: end.toISOString().split('T')[0],
+        mergedPRs: bucket.prs.length,
+        cycleTimeMedianHours: cycleTimes.length > 0 ? this.median(cycleTimes) : null,
+        reviewTimeMedianHours: reviewTimes.length > 0 ? this.median(reviewTimes) : null,
+        commits: bucket.commits
+      };
+    });
+
+    return { bucketDays, points };
+  }
+
+  // Summary of one period's PR metrics, or null without PRs
   calculateMetricsSummary(prMetrics) {
     if (prMetrics.length === 0) return null;
 
@@ -91,13 +221,22 @@ class MetricsAnalyzer {
 
     const prSizes = prMetrics.map(pr => pr.prSize.totalChanges);
 
+    const cycleTimeBusinessHours = prMetrics
+      .filter(pr => pr.cycleTimeBusinessHours !== null && pr.cycleTimeBusinessHours !== undefined)
+      .map(pr => pr.cycleTimeBusinessHours);
+
+    const reviewTimeBusinessHours = prMetrics
+      .filter(pr => pr.reviewTimeBusinessHours !== null && pr.reviewTimeBusinessHours !== undefined)
+      .map(pr => pr.reviewTimeBusinessHours);
+
     return {
       totalPRs: prMetrics.length,
       cycleTime: {
         avgHours: this.average(cycleTimeHours),
         medianHours: this.median(cycleTimeHours),
         p95Hours: this.percentile(cycleTimeHours, 95),
-        count: cycleTimeHours.length
+        count: cycleTimeHours.length,
+        distribution: this.histogram(cycleTimeHours, CYCLE_TIME_BUCKETS)
       },
       reviewTime: {
         avgHours: this.average(reviewTimeHours),
@@ -110,10 +249,116 @@ class MetricsAnalyzer {
         medianChanges: this.median(prSizes),
         p95Changes: this.percentile(prSizes, 95)
       },
+      businessHours: this.calendar ? {
+        timezone: this.calendar.timezone,
+        cycleTime: {
+          avgHours: this.average(cycleTimeBusinessHours),
+          medianHours: this.median(cycleTimeBusinessHours),
+          p95Hours: this.percentile(cycleTimeBusinessHours, 95),
+          count: cycleTimeBusinessHours.length
+        },
+        reviewTime: {
+          avgHours: this.average(reviewTimeBusinessHours),
+          medianHours: this.median(reviewTimeBusinessHours),
+          p95Hours: this.percentile(reviewTimeBusinessHours, 95),
+          count: reviewTimeBusinessHours.length
+        }
+      } : undefined,
+      stages: this.summarizeStages(prMetrics),
       topContributors: this.getTopContributors(prMetrics)
     };
   }
 
+  // Median and p95 per lifecycle stage over the PRs that went through it; draft
+  // time only counts PRs that were drafts at some point
+  summarizeStages(prMetrics) {
+    const values = (key, keep = value => value !== null) => prMetrics
+      .map(pr => pr.stages?.[key] ?? null)
+      .filter(value => value !== null && keep(value));
+    const describe = list => ({
+      medianHours: this.median(list),
+      p95Hours: this.percentile(list, 95),
+      count: list.length
+    });
+    const iterations = values('reviewIterations', value => value > 0);
+
+    return {
+      draft: describe(values('draftHours', value => value > 0)),
+      waitForReview: describe(values('waitForReviewHours')),
+      reviewIterations: describe(values('reviewIterationHours')),
+      approvalToMerge: describe(values('approvalToMergeHours')),
+      iterationCount: {
+        median: this.median(iterations),
+        p95: this.percentile(iterations, 95),
+        count: iterations.length
+      }
+    };
+  }
+
+  // The four DORA metrics. Deployments come from GitHub Deployments, Releases or
+  // tags; failures are reverts and PRs with a failure label; restores are incidents.
+  // Kept apart from the PR summary, so a period without merged PRs still has them.
+  // `delivery` is { deployments, incidents, failureLabels, source, periodStart, periodEnd, periodDays }.
+  analyzeDeliveryPerformance(prMetrics, delivery) {
+    const deployments = delivery.deployments
+      .map(deployment => new Date(deployment.createdAt))
+      .sort((a, b) => a - b);
+    const periodStart = delivery.periodStart ? new Date(delivery.periodStart) : null;
+    const periodEnd = delivery.periodEnd ? new Date(delivery.periodEnd) : null;
+    const inPeriod = date => (!periodStart || date >= periodStart) && (!periodEnd || date <= periodEnd);
+    const periodDeployments = deployments.filter(inPeriod);
+    const periodDays = delivery.periodDays || 1;
+
+    // Lead time: first commit to the first deployment at or after the merge
+    const leadTimeHours = prMetrics
+      .map(pr => {
+        const deployedAt = deployments.find(date => date >= pr.mergedAt);
+        return deployedAt ? differenceInHours(deployedAt, pr.firstCommitAt || pr.createdAt) : null;
+      })
+      .filter(hours => hours !== null);
+
+    const failureLabels = (delivery.failureLabels || []).map(label => label.toLowerCase());
+    const failures = prMetrics.filter(pr =>
+      pr.isRevert || pr.labels.some(label => failureLabels.includes(label.toLowerCase()))
+    ).length;
+
+    // Without deployments, fall back to the share of merged PRs that were fixes
+    const failureBasis = periodDeployments.length > 0 ? 'deployments' : 'pull-requests';
+    const failureDenominator = periodDeployments.length > 0 ? periodDeployments.length : prMetrics.length;
+
+    const incidents = (delivery.incidents || []).filter(incident => inPeriod(new Date(incident.createdAt)));
+    const restoreHours = incidents
+      .filter(incident => incident.closedAt)
+      .map(incident => differenceInHours(new Date(incident.closedAt), new Date(incident.createdAt)));
+
+    return {
+      deploymentFrequency: {
+        source: delivery.source,
+        totalDeployments: periodDeployments.length,
+        perDay: periodDeployments.length / periodDays,
+        perWeek: (periodDeployments.length / periodDays) * 7
+      },
+      leadTime: {
+        avgHours: this.average(leadTimeHours),
+        medianHours: this.median(leadTimeHours),
+        p95Hours: this.percentile(leadTimeHours, 95),
+        count: leadTimeHours.length
+      },
+      changeFailureRate: {
+        failures,
+        total: failureDenominator,
+        basis: failureBasis,
+        percent: failureDenominator > 0 ? Math.min(100, (failures / failureDenominator) * 100) : 0
+      },
+      timeToRestore: {
+        incidents: incidents.length,
+        resolved: restoreHours.length,
+        avgHours: this.average(restoreHours),
+        medianHours: this.median(restoreHours)
+      }
+    };
+  }
+
   getTopContributors(prMetrics) {
     const contributors = {};
     
@@ -154,7 +399,9 @@ class MetricsAnalyzer {
       }));
   }
 
-  comparePeriors(currentPeriod, previousPeriod) {
+  // `samples` optionally holds the per-PR metrics behind both summaries
+  // ({ current, previous }); with them cycle and review time get significance tests.
+  comparePeriors(currentPeriod, previousPeriod, samples = null) {
     const comparison = {
       cycleTime: this.calculateImprovement(
         previousPeriod?.cycleTime?.avgHours,
@@ -178,13 +425,80 @@ class MetricsAnalyzer {
 
     const overallImprovement = this.calculateOverallImprovement(comparison);
 
+    if (samples) {
+      for (const metric of ['cycleTime', 'reviewTime']) {
+        const field = `${metric}Hours`;
+        const significance = this.testSignificance(
+          samples.previous.map(pr => pr[field]).filter(value => value !== null),
+          samples.current.map(pr => pr[field]).filter(value => value !== null)
+        );
+        if (comparison[metric]) {
+          comparison[metric].significance = significance;
+        }
+      }
+    }
+
+    // Business-hour comparisons sit beside the wall-clock ones and, like DORA,
+    // don't feed the overall figure
+    const businessHours = currentPeriod?.businessHours && previousPeriod?.businessHours ? {
+      cycleTime: this.calculateImprovement(
+        previousPeriod.businessHours.cycleTime.avgHours,
+        currentPeriod.businessHours.cycleTime.avgHours
+      ),
+      reviewTime: this.calculateImprovement(
+        previousPeriod.businessHours.reviewTime.avgHours,
+        currentPeriod.businessHours.reviewTime.avgHours
+      )
+    } : undefined;
+
     return {
       ...comparison,
+      businessHours,
       overallImprovement,
       summary: this.generateSummary(comparison, overallImprovement)
     };
   }
 
+  // DORA comparisons are reported separately and don't feed the overall figure
+  compareDeliveryPerformance(current, previous) {
+    if (!current && !previous) return undefined;
+
+    return {
+      deploymentFrequency: this.calculateImprovement(
+        previous?.deploymentFrequency.perWeek,
+        current?.deploymentFrequency.perWeek,
+        false // Higher is better for deployment frequency
+      ),
+      leadTime: this.calculateImprovement(
+        previous?.leadTime.medianHours,
+        current?.leadTime.medianHours
+      ),
+      changeFailureRate: this.calculateImprovement(
+        previous?.changeFailureRate.percent,
+        current?.changeFailureRate.percent
+      ),
+      timeToRestore: this.calculateImprovement(
+        previous?.timeToRestore.medianHours,
+        current?.timeToRestore.medianHours
+      )
+    };
+  }
+
+  // Summaries and comparison for a subset of PRs (a team, a component, ...),
+  // shaped like a repository result so the renderers can share their rows
+  compareSegment(currentPRs, previousPRs) {
+    const current = this.calculateMetricsSummary(currentPRs);
+    const previous = this.calculateMetricsSummary(previousPRs);
+
+    return {
+      periods: {
+        current: { prMetrics: current },
+        previous: { prMetrics: previous }
+      },
+      comparison: this.comparePeriors(current, previous, { current: currentPRs, previous: previousPRs })
+    };
+  }
+
   calculateImprovement(oldValue, newValue, lowerIsBetter = true) {
     if (!oldValue || !newValue) return null;
     
@@ -200,6 +514,36 @@ class MetricsAnalyzer {
     };
   }
 
+  // Mann-Whitney U on the two distributions plus a bootstrap interval for the
+  // improvement (lower is better, so the interval is the negated percent change).
+  testSignificance(previousValues, currentValues) {
+    const sampleSizes = { previous: previousValues.length, current: currentValues.length };
+
+    if (sampleSizes.previous < this.minSampleSize || sampleSizes.current < this.minSampleSize) {
+      return { tested: false, sampleSizes, reason: `fewer than ${this.minSampleSize} PRs in a period` };
+    }
+
+    const test = mannWhitneyU(currentValues, previousValues);
+    const interval = bootstrapPercentChangeCI(previousValues, currentValues, {
+      iterations: this.bootstrapIterations
+    });
+
+    return {
+      tested: true,
+      test: 'mann-whitney-u',
+      sampleSizes,
+      uStatistic: test.u,
+      pValue: test.pValue,
+      effectSize: test.effectSize,
+      isSignificant: test.pValue < this.significanceLevel,
+      confidenceInterval: interval && {
+        level: interval.level,
+        lower: -interval.upper,
+        upper: -interval.lower
+      }
+    };
+  }
+
   calculateOverallImprovement(comparison) {
     const improvements = Object.values(comparison)
       .filter(comp => comp && comp.improvement !== null)
@@ -216,12 +560,36 @@ class MetricsAnalyzer {
     
     let summary = `AI tooling impact: ${magnitude.toFixed(1)}% ${direction} delivery`;
     
-    if (magnitude < 5) {
-      summary += ' (minimal impact)';
-    } else if (magnitude < 15) {
-      summary += ' (moderate impact)';
+    const tests = ['cycleTime', 'reviewTime']
+      .map(metric => comparison[metric]?.significance)
+      .filter(Boolean);
+    
+    // Without per-PR samples, fall back to classifying by magnitude alone
+    if (tests.length === 0) {
+      if (magnitude < 5) {
+        summary += ' (minimal impact)';
+      } else if (magnitude < 15) {
+        summary += ' (moderate impact)';
+      } else {
+        summary += ' (significant impact)';
+      }
+      return summary;
+    }
+    
+    const tested = tests.filter(test => test.tested);
+    if (tested.length === 0) {
+      const { previous, current } = tests[0].sampleSizes;
+      return `${summary} (insufficient data: ${previous} vs ${current} PRs, not tested)`;
+    }
+    
+    const pValue = Math.min(...tested.map(test => test.pValue));
+    const { previous, current } = tested[0].sampleSizes;
+    const detail = `${formatPValue(pValue)}, n=${previous} vs ${current}`;
+    
+    if (tested.some(test => test.isSignificant)) {
+      summary += ` (statistically significant, ${detail})`;
     } else {
-      summary += ' (significant impact)';
+      summary += ` (not statistically significant, ${detail})`;
     }
     
     return summary;
@@ -246,6 +614,16 @@ class MetricsAnalyzer {
     const index = Math.ceil((p / 100) * sorted.length) - 1;
     return sorted[Math.max(0, index)];
   }
+
+  // Counts per bucket; each bucket holds values up to (excluding) its maxHours
+  histogram(arr, buckets) {
+    const counts = buckets.map(bucket => ({ label: bucket.label, maxHours: bucket.maxHours, count: 0 }));
+    for (const value of arr) {
+      const bucket = counts.find(b => b.maxHours === null || value < b.maxHours);
+      bucket.count++;
+    }
+    return counts;
+  }
 }
 
 module.exports = MetricsAnalyzer;
\ No newline at end of file
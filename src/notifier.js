@@ -0,0 +1,273 @@
+const path = require('path');
+
+// Comparisons checked for regressions, with the label used in messages
+const REGRESSION_METRICS = [
+  { key: 'cycleTime', label: 'Cycle time', get: comparison => comparison.cycleTime },
+  { key: 'reviewTime', label: 'Review time', get: comparison => comparison.reviewTime },
+  { key: 'prSize', label: 'PR size', get: comparison => comparison.prSize },
+  { key: 'totalPRs', label: 'Merged PRs', get: comparison => comparison.totalPRs }
+];
+
+const TOP_REGRESSIONS = 5;
+
+// Payload builders; each takes the compact summary from buildSummary()
+const TEMPLATES = {
+  generic: summary => summary,
+
+  slack: summary => {
+    const lines = [
+      `*${summary.title}*`,
+      summary.headline,
+      `Analyzed ${summary.analyzedRepositories}/${summary.totalRepositories} repositories` +
+        (summary.failedRepositories.length > 0 ? `, failed: ${summary.failedRepositories.join(', ')}` : '')
+    ];
+    if (summary.regressions.length > 0) {
+      lines.push('', '*Top regressions*');
+      summary.regressions.forEach(regression => lines.push(`• ${regression.text}`));
+    }
+    if (summary.reports.length > 0) {
+      lines.push('', summary.reports.map(report => report.url ? `<${report.url}|${report.name}>` : `\`${report.file}\``).join(' · '));
+    }
+
+    return {
+      text: `${summary.title}: ${summary.headline}`,
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } }]
+    };
+  },
+
+  // Adaptive Card message, accepted by Teams workflow and incoming webhooks
+  teams: summary => {
+    const body = [
+      { type: 'TextBlock', size: 'Medium', weight: 'Bolder', text: summary.title, wrap: true },
+      { type: 'TextBlock', text: summary.headline, wrap: true, color: summary.overallImprovementPercent < 0 ? 'Attention' : 'Good' },
+      {
+        type: 'FactSet',
+        facts: [
+          { title: 'Repositories', value: `${summary.analyzedRepositories}/${summary.totalRepositories} analyzed` },
+          { title: 'Significant changes', value: `${summary.significantRepositories}` },
+          ...(summary.failedRepositories.length > 0 ? [{ title: 'Failed', value: summary.failedRepositories.join(', ') }] : [])
+        ]
+      }
+    ];
+    if (summary.regressions.length > 0) {
+      body.push({ type: 'TextBlock', weight: 'Bolder', text: 'Top regressions', wrap: true });
+      body.push(...summary.regressions.map(regression => ({ type: 'TextBlock', text: `- ${regression.text}`, wrap: true, spacing: 'None' })));
+    }
+
+    const actions = summary.reports.filter(report => report.url)
+      .map(report => ({ type: 'Action.OpenUrl', title: `Open ${report.name}`, url: report.url }));
+    if (summary.reports.some(report => !report.url)) {
+      body.push({ type: 'TextBlock', text: summary.reports.map(report => report.file).join(', '), isSubtle: true, wrap: true });
+    }
+
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          ...(actions.length > 0 ? { actions } : {})
+        }
+      }]
+    };
+  }
+};
+
+// Posts report summaries to the webhooks in the `notifications` section of
+// config.json. Delivery failures are logged and never fail the analysis run.
+class Notifier {
+  constructor(options = {}) {
+    this.webhooks = (options.webhooks || []).map(normalizeWebhook);
+    this.reportBaseUrl = options.reportBaseUrl || null;
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  static fromConfig(config) {
+    return new Notifier(config.notifications);
+  }
+
+  // Send to every webhook whose trigger matches; resolves to one result per webhook
+  async notify(report, files = []) {
+    const results = [];
+
+    for (const webhook of this.webhooks) {
+      const summary = this.buildSummary(report, files, webhook.regressionThreshold);
+      if (webhook.on === 'regression' && summary.event !== 'regression') {
+        results.push({ name: webhook.name, sent: false, reason: 'no regression beyond threshold' });
+        continue;
+      }
+
+      const url = webhook.url || process.env[webhook.urlEnv];
+      if (!url) {
+        console.warn(`⚠️  Webhook ${webhook.name}: ${webhook.urlEnv} is not set, skipping`);
+        results.push({ name: webhook.name, sent: false, reason: `${webhook.urlEnv} not set` });
+        continue;
+      }
+
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...webhook.headers },
+          body: JSON.stringify(TEMPLATES[webhook.template](summary)),
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+        console.log(`📣 Notified ${webhook.name} (${webhook.template}, ${summary.event})`);
+        results.push({ name: webhook.name, sent: true, status: response.status });
+      } catch (error) {
+        console.warn(`⚠️  Webhook ${webhook.name} failed: ${error.message}`);
+        results.push({ name: webhook.name, sent: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Compact, template-independent summary. `event` is 'regression' when the
+  // overall figure or any repository metric got worse by more than `threshold` percent.
+  buildSummary(report, files = [], threshold = 10) {
+    const { summary } = report;
+    const regressions = [];
+
+    for (const result of report.repositories) {
+      if (result.error || !result.comparison) continue;
+
+      const overall = result.comparison.overallImprovement;
+      if (overall !== undefined && overall !== null && overall < -threshold) {
+        regressions.push({ repository: result.repository, metric: 'overall', change: overall });
+      }
+      for (const metric of REGRESSION_METRICS) {
+        const comparison = metric.get(result.comparison);
+        if (comparison && comparison.improvement < -threshold) {
+          regressions.push({ repository: result.repository, metric: metric.key, label: metric.label, change: comparison.improvement, from: comparison.oldValue, to: comparison.newValue });
+        }
+      }
+    }
+
+    regressions.sort((a, b) => a.change - b.change);
+    const overallRegressed = summary.overallImprovementPercent < -threshold;
+    const direction = summary.overallImprovementPercent > 0 ? 'faster' : 'slower';
+
+    return {
+      event: overallRegressed || regressions.length > 0 ? 'regression' : 'completion',
+      title: `AI tooling delivery report: ${summary.organization}`,
+      headline: `${Math.abs(summary.overallImprovementPercent).toFixed(1)}% ${direction} delivery across all repositories`,
+      organization: summary.organization,
+      generatedAt: summary.generatedAt,
+      periods: summary.periods,
+      overallImprovementPercent: summary.overallImprovementPercent,
+      totalRepositories: summary.totalRepositories,
+      analyzedRepositories: summary.analyzedRepositories,
+      significantRepositories: summary.significantRepositories,
+      failedRepositories: report.repositories.filter(result => result.error).map(result => result.repository),
+      regressionThreshold: threshold,
+      regressionCount: regressions.length,
+      regressions: regressions.slice(0, TOP_REGRESSIONS).map(regression => ({
+        ...regression,
+        text: regression.metric === 'overall'
+          ? `${regression.repository}: overall ${regression.change.toFixed(1)}%`
+          : `${regression.repository}: ${regression.label} ${regression.from.toFixed(1)} → ${regression.to.toFixed(1)} (${regression.change.toFixed(1)}%)`
+      })),
+      reports: files.map(file => ({
+        name: path.extname(file).slice(1) || path.basename(file),
+        file,
+        url: this.reportBaseUrl ? `${this.reportBaseUrl.replace(/\/$/, '')}/${path.basename(file)}` : null
+      }))
+    };
+  }
+}
+
+function normalizeWebhook(webhook, index) {
+  const name = webhook.name || `webhook-${index + 1}`;
+  if (!webhook.url && !webhook.urlEnv) {
+    throw new Error(`Webhook ${name} needs a url or urlEnv`);
+  }
+
+  const template = webhook.template || 'generic';
+  if (!TEMPLATES[template]) {
+    throw new Error(`Webhook ${name}: unknown template "${template}" (${Object.keys(TEMPLATES).join(', ')})`);
+  }
+
+  const on = webhook.on || 'completion';
+  if (!['completion', 'regression'].includes(on)) {
+    throw new Error(`Webhook ${name}: "on" must be completion or regression`);
+  }
+
+  const regressionThreshold = webhook.regressionThreshold ?? 10;
+  if (!Number.isFinite(regressionThreshold) || regressionThreshold < 0) {
+    throw new Error(`Webhook ${name}: regressionThreshold must be a non-negative number`);
+  }
+
+  return {
+    name,
+    url: webhook.url || null,
+    urlEnv: webhook.urlEnv || null,
+    template,
+    on,
+    regressionThreshold,
+    headers: webhook.headers || {}
+  };
+}
+
+// A --threshold value as a non-negative percentage, or null when it isn't one.
+// Blank strings would convert to 0 and alert on any regression, and parseFloat()
+// would read "5%" as 5, so both are rejected.
+function parseThreshold(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const threshold = Number(value);
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : null;
+}
+
+// Send a saved report, e.g. to re-post it or to try a webhook against a local stub
+async function runNotify(reportFile, options = {}) {
+  const fs = require('fs');
+  const ConfigManager = require('./config-manager');
+
+  const threshold = parseThreshold(options.threshold);
+  if (options.webhook && threshold === null) {
+    console.error(`❌ Invalid --threshold "${options.threshold}" (expected a non-negative percentage)`);
+    process.exit(1);
+  }
+
+  const config = new ConfigManager().loadConfig();
+
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read report ${reportFile}: ${error.message}`);
+    process.exit(1);
+  }
+
+  let notifier;
+  try {
+    notifier = options.webhook
+      ? new Notifier({
+        ...config.notifications,
+        webhooks: [{ name: 'cli', url: options.webhook, template: options.template, on: 'completion', regressionThreshold: threshold }]
+      })
+      : Notifier.fromConfig(config);
+  } catch (error) {
+    console.error(`❌ Invalid notification settings: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (notifier.webhooks.length === 0) {
+    console.error('❌ No webhooks configured');
+    console.log('💡 Add webhooks to the "notifications" section of config.json or pass --webhook <url>');
+    process.exit(1);
+  }
+
+  const results = await notifier.notify(report, [reportFile]);
+  if (results.some(result => result.error)) {
+    process.exitCode = 1;
+  }
+  return results;
+}
+
+module.exports = { Notifier, TEMPLATES, runNotify, parseThreshold };
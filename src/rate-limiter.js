@@ -4,12 +4,15 @@ class RateLimiter {
     this.burstLimit = options.burstLimit || 100; // Max requests per minute
     this.backoffMultiplier = options.backoffMultiplier || 1.5;
     this.maxBackoffMs = options.maxBackoffMs || 60000; // 1 minute max
+    this.pointsPerHour = options.pointsPerHour || null; // GraphQL point budget, if tracked
     
     this.requests = [];
     this.burstRequests = [];
+    this.pointCosts = []; // { time, cost } for GraphQL queries
     this.currentBackoffMs = 1000; // Start with 1 second
     this.isRateLimited = false;
     this.rateLimitResetTime = null;
+    this.slotQueue = Promise.resolve(); // Serializes slot acquisition across workers
     
     // Statistics
     this.stats = {
@@ -17,7 +20,8 @@ class RateLimiter {
       cachedRequests: 0,
       rateLimitHits: 0,
       backoffEvents: 0,
-      totalWaitTime: 0
+      totalWaitTime: 0,
+      totalPoints: 0
     };
   }
 
@@ -31,13 +35,16 @@ class RateLimiter {
     
     this.requests = this.requests.filter(time => time > oneHourAgo);
     this.burstRequests = this.burstRequests.filter(time => time > oneMinuteAgo);
+    this.pointCosts = this.pointCosts.filter(entry => entry.time > oneHourAgo);
   }
 
   getRemainingRequests() {
     this.cleanOldRequests();
+    const usedPoints = this.pointCosts.reduce((sum, entry) => sum + entry.cost, 0);
     return {
       hourly: Math.max(0, this.requestsPerHour - this.requests.length),
-      burst: Math.max(0, this.burstLimit - this.burstRequests.length)
+      burst: Math.max(0, this.burstLimit - this.burstRequests.length),
+      points: this.pointsPerHour ? Math.max(0, this.pointsPerHour - usedPoints) : null
     };
   }
 
@@ -75,13 +82,37 @@ class RateLimiter {
       }
     }
     
+    // Check GraphQL point budget, keeping room for one more expensive query
+    if (remaining.points !== null && remaining.points <= 100 && this.pointCosts.length > 0) {
+      const oldestCost = Math.min(...this.pointCosts.map(entry => entry.time));
+      const waitTime = Math.max(0, (oldestCost + 3600000) - this.now());
+      
+      if (waitTime > 0) {
+        return Math.min(waitTime, this.currentBackoffMs);
+      }
+    }
+    
     return 0;
   }
 
+  // Wait until the budget allows another request, then reserve a slot for it.
+  // Concurrent callers queue up here, so parallel workers share one budget
+  // instead of all seeing the same free capacity at once.
   async waitIfNeeded() {
-    const waitTime = this.getWaitTime();
+    const turn = this.slotQueue.then(() => this.acquireSlot());
+    this.slotQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  async acquireSlot() {
+    let waitTime = this.getWaitTime();
+    if (waitTime === 0) {
+      // Reset backoff on successful request
+      this.currentBackoffMs = 1000;
+    }
     
-    if (waitTime > 0) {
+    // Re-check after every wait: a hit limit or other requests may have used the budget meanwhile
+    while (waitTime > 0) {
       this.stats.backoffEvents++;
       this.stats.totalWaitTime += waitTime;
       
@@ -95,24 +126,35 @@ class RateLimiter {
         this.currentBackoffMs * this.backoffMultiplier,
         this.maxBackoffMs
       );
-    } else {
-      // Reset backoff on successful request
-      this.currentBackoffMs = 1000;
+      
+      waitTime = this.getWaitTime();
     }
+    
+    const now = this.now();
+    this.requests.push(now);
+    this.burstRequests.push(now);
   }
 
+  // Slots are reserved in waitIfNeeded; this only keeps the statistics
   recordRequest(fromCache = false) {
-    const now = this.now();
-    
     if (fromCache) {
       this.stats.cachedRequests++;
     } else {
-      this.requests.push(now);
-      this.burstRequests.push(now);
       this.stats.totalRequests++;
     }
   }
 
+  // Record the point cost of a GraphQL query. When GitHub reports the remaining
+  // budget we trust it over our own bookkeeping.
+  recordCost(cost, serverRemaining = null, resetAt = null) {
+    this.pointCosts.push({ time: this.now(), cost });
+    this.stats.totalPoints += cost;
+    
+    if (serverRemaining !== null && serverRemaining <= 100 && resetAt) {
+      this.handleRateLimitResponse(Math.floor(new Date(resetAt).getTime() / 1000));
+    }
+  }
+
   handleRateLimitResponse(rateLimitReset) {
     this.isRateLimited = true;
     this.rateLimitResetTime = rateLimitReset * 1000; // Convert to milliseconds
@@ -152,6 +194,10 @@ class RateLimiter {
     console.log(`  Total Wait Time: ${Math.ceil(stats.totalWaitTime / 1000)}s`);
     console.log(`  Remaining (Hour): ${stats.remaining.hourly}`);
     console.log(`  Remaining (Burst): ${stats.remaining.burst}`);
+    if (stats.remaining.points !== null) {
+      console.log(`  GraphQL Points Used: ${stats.totalPoints}`);
+      console.log(`  Remaining (Points): ${stats.remaining.points}`);
+    }
   }
 }
 
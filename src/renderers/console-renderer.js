@@ -0,0 +1,362 @@
+const { formatPValue } = require('../statistics');
+const { changePointLines, stageRows } = require('./report-rows');
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Emoji console output, printed directly rather than returned
+class ConsoleRenderer {
+  constructor() {
+    this.extension = null;
+  }
+
+  render(report) {
+    console.log('\n' + '='.repeat(60));
+    console.log('🤖 AI TOOLING DELIVERY IMPACT REPORT');
+    console.log('='.repeat(60));
+
+    report.repositories.forEach(result => this.printRepository(result));
+
+    if (report.teams?.length > 0) {
+      this.printTeams(report.teams);
+    }
+
+    if (report.aiUsage) {
+      this.printAiUsage(report.aiUsage);
+    }
+
+    this.printSummary(report.summary);
+  }
+
+  printRepository(result) {
+    if (result.error) {
+      console.log(`\n❌ ${result.repository}: Error - ${result.error}`);
+      return;
+    }
+
+    const { comparison, periods } = result;
+    
+    console.log(`\n📂 Repository: ${result.repository}`);
+    console.log(`Current Period: ${periods.current.start} to ${periods.current.end}`);
+    console.log(`Previous Period: ${periods.previous.start} to ${periods.previous.end}`);
+    
+    if (comparison.summary) {
+      console.log(`\n✨ ${comparison.summary}`);
+    }
+
+    if (periods.current.prMetrics && periods.previous.prMetrics) {
+      this.printMetricComparison('Cycle Time (Hours)', 
+        periods.previous.prMetrics.cycleTime.avgHours,
+        periods.current.prMetrics.cycleTime.avgHours,
+        comparison.cycleTime);
+
+      this.printMetricComparison('Review Time (Hours)', 
+        periods.previous.prMetrics.reviewTime.avgHours,
+        periods.current.prMetrics.reviewTime.avgHours,
+        comparison.reviewTime);
+
+      if (comparison.businessHours) {
+        this.printMetricComparison('Cycle Time (Business Hours)', 
+          periods.previous.prMetrics.businessHours.cycleTime.avgHours,
+          periods.current.prMetrics.businessHours.cycleTime.avgHours,
+          comparison.businessHours.cycleTime);
+
+        this.printMetricComparison('Review Time (Business Hours)', 
+          periods.previous.prMetrics.businessHours.reviewTime.avgHours,
+          periods.current.prMetrics.businessHours.reviewTime.avgHours,
+          comparison.businessHours.reviewTime);
+      }
+
+      this.printMetricComparison('PR Size (Changes)', 
+        periods.previous.prMetrics.prSize.avgChanges,
+        periods.current.prMetrics.prSize.avgChanges,
+        comparison.prSize);
+
+      this.printMetricComparison('Total PRs', 
+        periods.previous.prMetrics.totalPRs,
+        periods.current.prMetrics.totalPRs,
+        comparison.totalPRs);
+
+      this.printStages(result);
+
+      console.log('\n📈 Top Contributors (Current Period):');
+      periods.current.prMetrics.topContributors.slice(0, 5).forEach((contributor, index) => {
+        console.log(`  ${index + 1}. ${contributor.author}: ${contributor.totalPRs} PRs, ${contributor.avgCycleTime?.toFixed(1)}h avg cycle time`);
+      });
+    }
+
+    if (result.aiUsage) {
+      const share = cohort => `${cohort.assisted}/${cohort.total}${cohort.total > 0 ? ` (${(cohort.assisted / cohort.total * 100).toFixed(1)}%)` : ''}`;
+      console.log(`\n🧪 AI-assisted PRs: ${share(result.aiUsage.current)} current, ${share(result.aiUsage.previous)} previous`);
+    }
+
+    if (result.bots) {
+      this.printBots(result.bots);
+    }
+
+    console.log('\n💻 Commit Activity:');
+    console.log(`  Current: ${periods.current.commitFrequency.avgCommitsPerDay.toFixed(1)} commits/day`);
+    console.log(`  Previous: ${periods.previous.commitFrequency.avgCommitsPerDay.toFixed(1)} commits/day`);
+
+    if (periods.current.series && periods.previous.series) {
+      this.printSeries(periods.previous.series, periods.current.series);
+    }
+
+    if (result.changePoints) {
+      const shifts = changePointLines(result.changePoints);
+      console.log(shifts.length > 0 ? '\n🔀 Detected shifts:' : '\n🔀 No shifts detected in cycle or review time');
+      shifts.forEach(line => console.log(`  ${line}`));
+    }
+
+    if (periods.current.dora) {
+      this.printDoraMetrics(periods.current.dora, periods.previous.dora, comparison.dora);
+    }
+
+    if (result.components) {
+      this.printComponents(result.components);
+    }
+  }
+
+  printStages(result) {
+    const hours = stage => (stage?.count ? `${stage.medianHours.toFixed(1)}h` : '-');
+    console.log('\n⏱️  PR Lifecycle Stages (median, previous → current; current p95):');
+    for (const row of stageRows(result)) {
+      const p95 = row.current?.count ? `, p95 ${row.current.p95Hours.toFixed(1)}h` : '';
+      console.log(`  ${row.label}: ${hours(row.previous)} → ${hours(row.current)}${p95} (${row.current?.count || 0} PRs)`);
+    }
+
+    const iterations = result.periods.current.prMetrics.stages.iterationCount;
+    if (iterations.count > 0) {
+      console.log(`  Review rounds per reviewed PR: median ${iterations.median}, p95 ${iterations.p95}`);
+    }
+  }
+
+  // Both periods side by side, scaled together so bar heights compare across them
+  printSeries(previous, current) {
+    const label = current.bucketDays === 7 ? 'Weekly' : `${current.bucketDays}-day`;
+    console.log(`\n📈 ${label} series (previous | current):`);
+
+    // Counts are scaled from zero, times between their lowest and highest median
+    const rows = [
+      ['Merged PRs', 'mergedPRs', 0, true],
+      ['Median cycle (h)', 'cycleTimeMedianHours', 1, false],
+      ['Median review (h)', 'reviewTimeMedianHours', 1, false],
+      ['Commits', 'commits', 0, true]
+    ];
+    for (const [name, key, digits, fromZero] of rows) {
+      const before = previous.points.map(point => point[key]);
+      const after = current.points.map(point => point[key]);
+      const values = [...before, ...after].filter(value => value !== null);
+      if (values.length === 0) continue;
+
+      const min = fromZero ? 0 : Math.min(...values);
+      const max = Math.max(...values);
+      console.log(`  ${name.padEnd(18)} ${sparkline(before, min, max)} | ${sparkline(after, min, max)}  ${min.toFixed(digits)}-${max.toFixed(digits)}`);
+    }
+  }
+
+  // Same-period comparison, so seasonal changes affect both cohorts alike
+  printAiUsage(aiUsage) {
+    const { current, signals } = aiUsage;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🧪 AI-ASSISTED VS NON-ASSISTED PRs (CURRENT PERIOD)');
+    console.log('='.repeat(60));
+
+    if (current.assisted === 0) {
+      console.log('No AI-assisted PRs detected; configure labels, co-authors, body markers or adopters under aiUsage in config.json');
+      return;
+    }
+
+    console.log(`AI-assisted: ${current.assisted} of ${current.total} PRs (${(current.assisted / current.total * 100).toFixed(1)}%)`);
+    console.log(`Signals (both periods): ${Object.entries(signals).map(([type, count]) => `${type} ${count}`).join(', ')}`);
+
+    const assisted = current.periods.current.prMetrics;
+    const nonAssisted = current.periods.previous.prMetrics;
+    if (!nonAssisted) {
+      console.log('Every PR was AI-assisted, nothing to compare against');
+      return;
+    }
+
+    console.log('\nNon-assisted → AI-assisted:');
+    this.printMetricComparison('Cycle Time (Hours)', nonAssisted.cycleTime.avgHours, assisted.cycleTime.avgHours, current.comparison.cycleTime);
+    this.printMetricComparison('Review Time (Hours)', nonAssisted.reviewTime.avgHours, assisted.reviewTime.avgHours, current.comparison.reviewTime);
+    this.printMetricComparison('PR Size (Changes)', nonAssisted.prSize.avgChanges, assisted.prSize.avgChanges, current.comparison.prSize);
+  }
+
+  printBots(bots) {
+    const { current, previous } = bots.pullRequests;
+    if (bots.mode === 'exclude') {
+      console.log(`\n🤖 Excluded bot PRs: ${previous} → ${current}`);
+      return;
+    }
+
+    console.log(`\n🤖 Bot PRs (reported separately): ${previous} → ${current}`);
+    if (bots.periods.current.prMetrics && bots.periods.previous.prMetrics) {
+      this.printMetricComparison('Cycle Time (Hours)',
+        bots.periods.previous.prMetrics.cycleTime.avgHours,
+        bots.periods.current.prMetrics.cycleTime.avgHours,
+        bots.comparison.cycleTime);
+    }
+  }
+
+  printComponents({ source, error, components, unassignedPRs, unmappedPRs }) {
+    console.log(`\n🧩 Components (${source}):`);
+    if (error) {
+      console.log(`  ⚠️  ${error}`);
+      return;
+    }
+
+    const median = (metrics, metric) => metrics ? `${metrics[metric].medianHours.toFixed(1)}h` : '-';
+    for (const { component, periods, comparison } of components) {
+      const current = periods.current.prMetrics;
+      const previous = periods.previous.prMetrics;
+      const overall = current && previous ? ` (${comparison.overallImprovement > 0 ? '+' : ''}${comparison.overallImprovement.toFixed(1)}% overall)` : '';
+      console.log(`  ${component}: ${previous?.totalPRs || 0} → ${current?.totalPRs || 0} PRs, median cycle ${median(previous, 'cycleTime')} → ${median(current, 'cycleTime')}, median review ${median(previous, 'reviewTime')} → ${median(current, 'reviewTime')}${overall}`);
+    }
+
+    if (unassignedPRs.current + unassignedPRs.previous > 0) {
+      console.log(`  ${unassignedPRs.previous} → ${unassignedPRs.current} PRs touched no component`);
+    }
+    if (unmappedPRs.current + unmappedPRs.previous > 0) {
+      console.log(`  ⚠️  ${unmappedPRs.previous + unmappedPRs.current} PRs left out, their files could not be fetched`);
+    }
+  }
+
+  printTeams(teams) {
+    console.log('\n' + '='.repeat(60));
+    console.log('👥 TEAMS');
+    console.log('='.repeat(60));
+
+    for (const team of teams) {
+      const { comparison, periods } = team;
+      const current = periods.current.prMetrics;
+      const previous = periods.previous.prMetrics;
+
+      console.log(`\n👥 Team: ${team.team} (${team.members.length} members, PRs from ${team.contributingRepositories.join(', ') || 'no repositories'})`);
+      if (team.syncError) {
+        console.log(`  ⚠️  GitHub team sync failed: ${team.syncError}`);
+      }
+      if (!current || !previous) {
+        console.log(`  Merged PRs: ${previous?.totalPRs || 0} → ${current?.totalPRs || 0} (not enough PRs to compare)`);
+        continue;
+      }
+
+      console.log(`  ✨ ${comparison.summary}`);
+      this.printMetricComparison('Cycle Time (Hours)', previous.cycleTime.avgHours, current.cycleTime.avgHours, comparison.cycleTime);
+      this.printMetricComparison('Review Time (Hours)', previous.reviewTime.avgHours, current.reviewTime.avgHours, comparison.reviewTime);
+      this.printMetricComparison('PR Size (Changes)', previous.prSize.avgChanges, current.prSize.avgChanges, comparison.prSize);
+      this.printMetricComparison('Total PRs', previous.totalPRs, current.totalPRs, comparison.totalPRs);
+    }
+
+    // Side-by-side view of the current period, fastest median cycle time first
+    const ranked = teams
+      .filter(team => team.periods.current.prMetrics)
+      .sort((a, b) => a.periods.current.prMetrics.cycleTime.medianHours - b.periods.current.prMetrics.cycleTime.medianHours);
+    if (ranked.length > 1) {
+      console.log('\n📊 Team Comparison (Current Period):');
+      ranked.forEach((team, index) => {
+        const metrics = team.periods.current.prMetrics;
+        const overall = team.periods.previous.prMetrics ? team.comparison.overallImprovement : null;
+        const overallText = overall === null ? 'no previous PRs' : `${overall > 0 ? '+' : ''}${overall.toFixed(1)}% overall`;
+        console.log(`  ${index + 1}. ${team.team}: ${metrics.totalPRs} PRs, ${metrics.cycleTime.medianHours.toFixed(1)}h median cycle, ${metrics.reviewTime.medianHours.toFixed(1)}h median review, ${overallText}`);
+      });
+    }
+  }
+
+  printSummary(summary) {
+    if (!summary.analyzedRepositories) return;
+
+    const overallImprovement = summary.overallImprovementPercent;
+    const direction = overallImprovement > 0 ? 'faster' : 'slower';
+    
+    console.log('\n' + '='.repeat(60));
+    console.log('🎯 OVERALL IMPACT SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`AI tooling impact: ${Math.abs(overallImprovement).toFixed(1)}% ${direction} delivery across all repositories`);
+    console.log(`Statistically significant changes in ${summary.significantRepositories}/${summary.analyzedRepositories} repositories`);
+    if (summary.botPRs) {
+      const { mode, current, previous } = summary.botPRs;
+      console.log(`Bot PRs ${mode === 'exclude' ? 'excluded' : 'reported separately'}: ${current} current, ${previous} previous`);
+    }
+    
+    if (summary.significantRepositories === 0) {
+      console.log('\n💡 No repository shows a statistically significant change in cycle or review time;');
+      console.log('   treat the figures above as directional until more PRs accumulate.');
+    } else if (Math.abs(overallImprovement) > 10) {
+      console.log('\n💡 RECOMMENDATIONS:');
+      if (overallImprovement > 0) {
+        console.log('✅ Significant improvement detected! Consider:');
+        console.log('  - Expanding AI tool adoption to more teams');
+        console.log('  - Documenting best practices from top performers');
+        console.log('  - Training sessions for teams showing less improvement');
+      } else {
+        console.log('⚠️  Performance regression detected. Consider:');
+        console.log('  - Reviewing AI tool usage patterns');
+        console.log('  - Providing additional training');
+        console.log('  - Investigating if tool changes caused issues');
+      }
+    }
+  }
+
+  printDoraMetrics(current, previous, comparison) {
+    const { deploymentFrequency, leadTime, changeFailureRate, timeToRestore } = current;
+
+    console.log(`\n🚀 DORA Metrics (source: ${deploymentFrequency.source}):`);
+    console.log(`  Deployments: ${deploymentFrequency.totalDeployments} (${deploymentFrequency.perWeek.toFixed(1)}/week)`);
+    console.log(`  Lead Time for Changes: ${leadTime.medianHours.toFixed(1)}h median (${leadTime.count} PRs deployed)`);
+    console.log(`  Change Failure Rate: ${changeFailureRate.percent.toFixed(1)}% (${changeFailureRate.failures}/${changeFailureRate.total} ${changeFailureRate.basis})`);
+    console.log(`  Time to Restore: ${timeToRestore.medianHours.toFixed(1)}h median (${timeToRestore.resolved}/${timeToRestore.incidents} incidents resolved)`);
+
+    if (!previous || !comparison) return;
+
+    this.printMetricComparison('Deployments/Week', 
+      previous.deploymentFrequency.perWeek,
+      deploymentFrequency.perWeek,
+      comparison.deploymentFrequency);
+
+    this.printMetricComparison('Lead Time (Median Hours)', 
+      previous.leadTime.medianHours,
+      leadTime.medianHours,
+      comparison.leadTime);
+
+    this.printMetricComparison('Change Failure Rate (%)', 
+      previous.changeFailureRate.percent,
+      changeFailureRate.percent,
+      comparison.changeFailureRate);
+
+    this.printMetricComparison('Time to Restore (Median Hours)', 
+      previous.timeToRestore.medianHours,
+      timeToRestore.medianHours,
+      comparison.timeToRestore);
+  }
+
+  printMetricComparison(metricName, oldValue, newValue, comparison) {
+    if (!comparison || comparison.improvement === null) return;
+    
+    const arrow = comparison.isImprovement ? '↗️' : '↘️';
+    const sign = comparison.improvement > 0 ? '+' : '';
+    
+    let significanceText = '';
+    const significance = comparison.significance;
+    if (significance?.tested) {
+      const ci = significance.confidenceInterval;
+      const ciText = ci ? `, ${ci.level}% CI ${ci.lower.toFixed(1)}%..${ci.upper.toFixed(1)}%` : '';
+      significanceText = ` [${formatPValue(significance.pValue)}${ciText}]`;
+    } else if (significance) {
+      significanceText = ' [not tested: too few PRs]';
+    }
+    
+    console.log(`  ${metricName}: ${oldValue?.toFixed(1)} → ${newValue?.toFixed(1)} (${sign}${comparison.improvement.toFixed(1)}%) ${arrow}${significanceText}`);
+  }
+}
+
+// One block character per value between min and max; buckets without data stay blank
+function sparkline(values, min, max) {
+  return values.map(value => {
+    if (value === null) return ' ';
+    const level = max > min ? Math.round(((value - min) / (max - min)) * (SPARK_CHARS.length - 1)) : 0;
+    return SPARK_CHARS[level];
+  }).join('');
+}
+
+module.exports = ConsoleRenderer;
@@ -0,0 +1,295 @@
+const { comparisonRows, cohortRows, stageRows, changePointLines, segmentRow, formatValue, formatChange, formatPercent, formatSignificance, segmentOverall } = require('./report-rows');
+
+// Inline styles keep the report a single file that opens offline
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 960px; color: #1f2328; padding: 0 1rem; }
+  h1 { border-bottom: 1px solid #d0d7de; padding-bottom: .5rem; }
+  h2 { margin-top: 2.5rem; }
+  .meta { color: #59636e; }
+  .summary { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; padding: 1rem 1.25rem; }
+  .summary .headline { font-size: 1.4rem; font-weight: 600; }
+  .insight { border-left: 4px solid #0969da; padding-left: .75rem; color: #1f2328; }
+  .error { border-left: 4px solid #cf222e; padding-left: .75rem; color: #cf222e; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  th, td { border: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  th { background: #f6f8fa; }
+  .better { color: #1a7f37; }
+  .worse { color: #cf222e; }
+  .chart text { font-size: 11px; fill: #59636e; }
+`;
+
+const CHART = { width: 640, height: 220, top: 20, bottom: 40, left: 36, right: 12 };
+const COLORS = { previous: '#8c959f', current: '#0969da' };
+
+// Self-contained HTML page with per-repository tables and cycle-time charts
+class HtmlRenderer {
+  constructor() {
+    this.extension = '.html';
+  }
+
+  render(report) {
+    const { summary } = report;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AI Tooling Delivery Impact Report - ${escapeHtml(summary.organization)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>🤖 AI Tooling Delivery Impact Report</h1>
+<p class="meta">Organization <strong>${escapeHtml(summary.organization)}</strong> · generated ${escapeHtml(summary.generatedAt)} · ${escapeHtml(summary.periods?.arguments || '')}</p>
+${this.renderSummary(summary)}
+${report.repositories.map(result => this.renderRepository(result)).join('\n')}
+${report.teams?.length > 0 ? this.renderTeams(report.teams) : ''}
+${report.aiUsage ? this.renderAiUsage(report.aiUsage) : ''}
+</body>
+</html>
+`;
+  }
+
+  renderSummary(summary) {
+    if (!summary.analyzedRepositories) {
+      return '<div class="summary"><p>No repositories could be analyzed.</p></div>';
+    }
+
+    const overallImprovement = summary.overallImprovementPercent;
+    const direction = overallImprovement > 0 ? 'faster' : 'slower';
+    const className = overallImprovement > 0 ? 'better' : 'worse';
+
+    return `<div class="summary">
+<h2 style="margin-top:0">🎯 Overall Impact Summary</h2>
+<p class="headline ${className}">${Math.abs(overallImprovement).toFixed(1)}% ${direction} delivery across all repositories</p>
+<p>Statistically significant changes in ${summary.significantRepositories}/${summary.analyzedRepositories} repositories (${summary.totalRepositories} requested).</p>
+${summary.botPRs ? `<p class="meta">Bot PRs ${summary.botPRs.mode === 'exclude' ? 'excluded' : 'reported separately'}: ${summary.botPRs.current} current, ${summary.botPRs.previous} previous</p>` : ''}
+</div>`;
+  }
+
+  renderRepository(result) {
+    const heading = `<h2>📂 ${escapeHtml(result.repository)}</h2>`;
+    if (result.error) {
+      return `<section>${heading}<p class="error">Error: ${escapeHtml(result.error)}</p></section>`;
+    }
+
+    const { comparison, periods } = result;
+    const rows = comparisonRows(result).map(row => {
+      const className = !row.comparison || row.comparison.improvement === null
+        ? ''
+        : (row.comparison.isImprovement ? 'better' : 'worse');
+      return `<tr><td>${escapeHtml(row.label)}</td><td class="num">${formatValue(row.previous)}</td><td class="num">${formatValue(row.current)}</td><td class="num ${className}">${formatChange(row.comparison)}</td><td>${escapeHtml(formatSignificance(row.comparison))}</td></tr>`;
+    });
+
+    const hours = value => (value === null || value === undefined ? '-' : `${formatValue(value)}h`);
+    const stages = stageRows(result).map(row =>
+      `<tr><td>${escapeHtml(row.label)}</td><td class="num">${hours(row.previous?.count ? row.previous.medianHours : null)}</td><td class="num">${hours(row.current?.count ? row.current.medianHours : null)}</td><td class="num">${hours(row.current?.count ? row.current.p95Hours : null)}</td><td class="num">${row.current?.count || 0}</td></tr>`
+    );
+
+    const shifts = changePointLines(result.changePoints).map(line => `<li>${escapeHtml(line)}</li>`);
+
+    const contributors = (periods.current.prMetrics?.topContributors || []).slice(0, 5).map(contributor =>
+      `<tr><td>${escapeHtml(contributor.author)}</td><td class="num">${contributor.totalPRs}</td><td class="num">${formatValue(contributor.avgCycleTime)}</td></tr>`
+    );
+
+    return `<section>
+${heading}
+<p class="meta">Current ${escapeHtml(periods.current.start)} to ${escapeHtml(periods.current.end)} · previous ${escapeHtml(periods.previous.start)} to ${escapeHtml(periods.previous.end)}</p>
+${comparison.summary ? `<p class="insight">✨ ${escapeHtml(comparison.summary)}</p>` : ''}
+<table>
+<thead><tr><th>Metric</th><th>Previous</th><th>Current</th><th>Change</th><th>Significance</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+${stages.length > 0 ? `<h3>PR Lifecycle Stages</h3>
+<table>
+<thead><tr><th>Stage</th><th>Previous Median</th><th>Current Median</th><th>Current p95</th><th>Current PRs</th></tr></thead>
+<tbody>
+${stages.join('\n')}
+</tbody>
+</table>` : ''}
+${shifts.length > 0 ? `<h3>Detected Shifts</h3>
+<ul>
+${shifts.join('\n')}
+</ul>` : ''}
+${result.aiUsage ? `<p class="meta">🧪 AI-assisted PRs: ${result.aiUsage.current.assisted}/${result.aiUsage.current.total} current, ${result.aiUsage.previous.assisted}/${result.aiUsage.previous.total} previous</p>` : ''}
+${result.bots ? this.renderBots(result.bots) : ''}
+${this.renderDistributionChart(periods.previous.prMetrics?.cycleTime?.distribution, periods.current.prMetrics?.cycleTime?.distribution)}
+${contributors.length > 0 ? `<h3>Top Contributors (Current Period)</h3>
+<table>
+<thead><tr><th>Author</th><th>PRs</th><th>Avg Cycle Time (h)</th></tr></thead>
+<tbody>
+${contributors.join('\n')}
+</tbody>
+</table>` : ''}
+${result.components ? this.renderComponents(result.components) : ''}
+</section>`;
+  }
+
+  renderAiUsage({ current, signals }) {
+    const heading = '<h2>🧪 AI-Assisted vs Non-Assisted PRs (Current Period)</h2>';
+    if (current.assisted === 0) {
+      return `<section>${heading}<p class="meta">No AI-assisted PRs detected.</p></section>`;
+    }
+
+    const rows = cohortRows(current).map(row => {
+      const className = !row.comparison || row.comparison.improvement === null
+        ? ''
+        : (row.comparison.isImprovement ? 'better' : 'worse');
+      return `<tr><td>${escapeHtml(row.label)}</td><td class="num">${formatValue(row.previous)}</td><td class="num">${formatValue(row.current)}</td><td class="num ${className}">${formatChange(row.comparison)}</td><td>${escapeHtml(formatSignificance(row.comparison))}</td></tr>`;
+    });
+
+    return `<section>
+${heading}
+<p>${current.assisted} of ${current.total} PRs were AI-assisted (${(current.assisted / current.total * 100).toFixed(1)}%).</p>
+<p class="meta">Signals (both periods): ${escapeHtml(Object.entries(signals).map(([type, count]) => `${type} ${count}`).join(', '))}</p>
+${rows.length > 0 ? `<table>
+<thead><tr><th>Metric</th><th>Non-assisted</th><th>AI-assisted</th><th>Difference</th><th>Significance</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>` : ''}
+</section>`;
+  }
+
+  renderBots(bots) {
+    const { current, previous } = bots.pullRequests;
+    if (bots.mode === 'exclude') {
+      return `<p class="meta">🤖 Bot PRs excluded: ${previous} previous, ${current} current</p>`;
+    }
+
+    const rows = comparisonRows(bots).map(row =>
+      `<tr><td>${escapeHtml(row.label)}</td><td class="num">${formatValue(row.previous)}</td><td class="num">${formatValue(row.current)}</td><td class="num">${formatChange(row.comparison)}</td></tr>`
+    );
+    return `<h3>🤖 Bot PRs (reported separately)</h3>
+<p class="meta">${previous} previous, ${current} current</p>
+${rows.length > 0 ? `<table>
+<thead><tr><th>Metric</th><th>Previous</th><th>Current</th><th>Change</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>` : ''}`;
+  }
+
+  renderComponents({ source, error, components, unassignedPRs }) {
+    const heading = `<h3>🧩 Components (${escapeHtml(source)})</h3>`;
+    if (error) {
+      return `${heading}\n<p class="error">${escapeHtml(error)}</p>`;
+    }
+
+    const rows = components.map(component => {
+      const row = segmentRow(component);
+      const className = row.overall === null ? '' : (row.overall > 0 ? 'better' : 'worse');
+      return `<tr><td>${escapeHtml(component.component)}</td><td class="num">${row.previousPRs} → ${row.currentPRs}</td><td class="num">${formatValue(row.cycleTime.previous)} → ${formatValue(row.cycleTime.current)}</td><td class="num">${formatValue(row.reviewTime.previous)} → ${formatValue(row.reviewTime.current)}</td><td class="num ${className}">${formatPercent(row.overall)}</td></tr>`;
+    });
+
+    return `${heading}
+<table>
+<thead><tr><th>Component</th><th>PRs</th><th>Median Cycle Time (h)</th><th>Median Review Time (h)</th><th>Overall Change</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+${unassignedPRs.current + unassignedPRs.previous > 0 ? `<p class="meta">PRs touching no component: ${unassignedPRs.previous} → ${unassignedPRs.current}</p>` : ''}`;
+  }
+
+  renderTeams(teams) {
+    const overview = teams.map(team => {
+      const metrics = team.periods.current.prMetrics;
+      const overall = segmentOverall(team);
+      const className = overall === null ? '' : (overall > 0 ? 'better' : 'worse');
+      return `<tr><td>${escapeHtml(team.team)}</td><td class="num">${metrics?.totalPRs || 0}</td><td class="num">${formatValue(metrics?.cycleTime.medianHours)}</td><td class="num">${formatValue(metrics?.reviewTime.medianHours)}</td><td class="num">${formatValue(metrics?.prSize.avgChanges)}</td><td class="num ${className}">${formatPercent(overall)}</td></tr>`;
+    });
+
+    const sections = teams.map(team => {
+      const rows = comparisonRows(team).map(row => {
+        const className = !row.comparison || row.comparison.improvement === null
+          ? ''
+          : (row.comparison.isImprovement ? 'better' : 'worse');
+        return `<tr><td>${escapeHtml(row.label)}</td><td class="num">${formatValue(row.previous)}</td><td class="num">${formatValue(row.current)}</td><td class="num ${className}">${formatChange(row.comparison)}</td><td>${escapeHtml(formatSignificance(row.comparison))}</td></tr>`;
+      });
+
+      return `<h3>${escapeHtml(team.team)}</h3>
+<p class="meta">${team.members.length} members · repositories with PRs: ${escapeHtml(team.contributingRepositories.join(', ') || '-')}</p>
+${team.syncError ? `<p class="error">GitHub team sync failed: ${escapeHtml(team.syncError)}</p>` : ''}
+${rows.length > 0 ? `<p class="insight">✨ ${escapeHtml(team.comparison.summary)}</p>
+<table>
+<thead><tr><th>Metric</th><th>Previous</th><th>Current</th><th>Change</th><th>Significance</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>` : '<p class="meta">Not enough PRs in both periods to compare.</p>'}`;
+    });
+
+    return `<section>
+<h2>👥 Teams</h2>
+<table>
+<thead><tr><th>Team</th><th>PRs</th><th>Median Cycle Time (h)</th><th>Median Review Time (h)</th><th>Avg PR Size</th><th>Overall Change</th></tr></thead>
+<tbody>
+${overview.join('\n')}
+</tbody>
+</table>
+${sections.join('\n')}
+</section>`;
+  }
+
+  // Grouped bar chart of the share of PRs per cycle-time bucket, previous vs
+  // current, so periods with different PR counts stay comparable
+  renderDistributionChart(previous, current) {
+    const buckets = current || previous;
+    if (!buckets) return '';
+
+    const shares = distribution => {
+      if (!distribution) return buckets.map(() => 0);
+      const total = distribution.reduce((sum, bucket) => sum + bucket.count, 0);
+      return distribution.map(bucket => total > 0 ? bucket.count / total : 0);
+    };
+    const series = [
+      { name: 'previous', values: shares(previous) },
+      { name: 'current', values: shares(current) }
+    ];
+
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const maxShare = Math.max(0.01, ...series.flatMap(s => s.values));
+    const groupWidth = plotWidth / buckets.length;
+    const barWidth = (groupWidth * 0.8) / series.length;
+
+    const bars = [];
+    buckets.forEach((bucket, i) => {
+      series.forEach((s, j) => {
+        const height = (s.values[i] / maxShare) * plotHeight;
+        const x = CHART.left + i * groupWidth + groupWidth * 0.1 + j * barWidth;
+        const y = CHART.top + plotHeight - height;
+        bars.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${height.toFixed(1)}" fill="${COLORS[s.name]}"><title>${s.name} ${escapeHtml(bucket.label)}: ${(s.values[i] * 100).toFixed(1)}%</title></rect>`);
+      });
+      const labelX = CHART.left + i * groupWidth + groupWidth / 2;
+      bars.push(`<text x="${labelX.toFixed(1)}" y="${CHART.top + plotHeight + 16}" text-anchor="middle">${escapeHtml(bucket.label)}</text>`);
+    });
+
+    const axisY = CHART.top + plotHeight;
+    const legendY = CHART.height - 6;
+
+    return `<h3>Cycle Time Distribution (share of PRs)</h3>
+<svg class="chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART.width} ${CHART.height}" width="100%" role="img" aria-label="Cycle time distribution, previous vs current period">
+<line x1="${CHART.left}" y1="${axisY}" x2="${CHART.width - CHART.right}" y2="${axisY}" stroke="#d0d7de"/>
+<text x="${CHART.left - 4}" y="${CHART.top + 4}" text-anchor="end">${(maxShare * 100).toFixed(0)}%</text>
+<text x="${CHART.left - 4}" y="${axisY}" text-anchor="end">0%</text>
+${bars.join('\n')}
+<rect x="${CHART.left}" y="${legendY - 9}" width="10" height="10" fill="${COLORS.previous}"/><text x="${CHART.left + 14}" y="${legendY}">Previous period</text>
+<rect x="${CHART.left + 120}" y="${legendY - 9}" width="10" height="10" fill="${COLORS.current}"/><text x="${CHART.left + 134}" y="${legendY}">Current period</text>
+</svg>`;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = HtmlRenderer;
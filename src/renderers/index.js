@@ -0,0 +1,38 @@
+const ConsoleRenderer = require('./console-renderer');
+const JsonRenderer = require('./json-renderer');
+const MarkdownRenderer = require('./markdown-renderer');
+const HtmlRenderer = require('./html-renderer');
+const OpenMetricsRenderer = require('./openmetrics-renderer');
+
+// Report formats selectable with --format. Renderers with an extension return
+// the file contents from render(); the console renderer prints and returns nothing.
+const RENDERERS = {
+  console: ConsoleRenderer,
+  json: JsonRenderer,
+  markdown: MarkdownRenderer,
+  html: HtmlRenderer,
+  openmetrics: OpenMetricsRenderer
+};
+
+function createRenderer(format) {
+  const Renderer = RENDERERS[format];
+  if (!Renderer) {
+    throw new Error(`Unknown report format: ${format}`);
+  }
+  return new Renderer();
+}
+
+// "--format markdown,html --format json" -> ['markdown', 'html', 'json']
+function parseFormats(values) {
+  const formats = [].concat(values)
+    .flatMap(value => value.split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(formats)];
+}
+
+module.exports = {
+  RENDERERS,
+  createRenderer,
+  parseFormats
+};
@@ -0,0 +1,13 @@
+// The full report as pretty-printed JSON; this is the format `diff` and
+// `trend --import` read back.
+class JsonRenderer {
+  constructor() {
+    this.extension = '.json';
+  }
+
+  render(report) {
+    return JSON.stringify(report, null, 2);
+  }
+}
+
+module.exports = JsonRenderer;
@@ -0,0 +1,243 @@
+const { comparisonRows, cohortRows, stageRows, changePointLines, segmentRow, formatValue, formatChange, formatPercent, formatSignificance, segmentOverall } = require('./report-rows');
+
+// GitHub-flavoured Markdown, suitable for pasting into issues or wiki pages
+class MarkdownRenderer {
+  constructor() {
+    this.extension = '.md';
+  }
+
+  render(report) {
+    const { summary } = report;
+    const lines = [
+      '# AI Tooling Delivery Impact Report',
+      '',
+      `- **Organization:** ${escapeMarkdown(summary.organization)}`,
+      `- **Generated:** ${summary.generatedAt}`,
+      `- **Periods:** ${summary.periods?.arguments || '-'}`,
+      ''
+    ];
+
+    lines.push(...this.renderSummary(summary));
+
+    for (const result of report.repositories) {
+      lines.push(...this.renderRepository(result));
+    }
+
+    if (report.teams?.length > 0) {
+      lines.push(...this.renderTeams(report.teams));
+    }
+
+    if (report.aiUsage) {
+      lines.push(...this.renderAiUsage(report.aiUsage));
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  renderSummary(summary) {
+    if (!summary.analyzedRepositories) {
+      return ['No repositories could be analyzed.', ''];
+    }
+
+    const overallImprovement = summary.overallImprovementPercent;
+    const direction = overallImprovement > 0 ? 'faster' : 'slower';
+
+    return [
+      '## Overall Impact Summary',
+      '',
+      `AI tooling impact: **${Math.abs(overallImprovement).toFixed(1)}% ${direction}** delivery across all repositories.`,
+      '',
+      `Statistically significant changes in ${summary.significantRepositories}/${summary.analyzedRepositories} repositories` +
+        ` (${summary.totalRepositories} requested).`,
+      '',
+      ...(summary.botPRs ? [`Bot PRs ${summary.botPRs.mode === 'exclude' ? 'excluded' : 'reported separately'}: ${summary.botPRs.current} current, ${summary.botPRs.previous} previous.`, ''] : [])
+    ];
+  }
+
+  renderRepository(result) {
+    if (result.error) {
+      return [`## ${escapeMarkdown(result.repository)}`, '', `> ❌ Error: ${escapeMarkdown(result.error)}`, ''];
+    }
+
+    const { comparison, periods } = result;
+    const lines = [
+      `## ${escapeMarkdown(result.repository)}`,
+      '',
+      `Current period: ${periods.current.start} to ${periods.current.end}  `,
+      `Previous period: ${periods.previous.start} to ${periods.previous.end}`,
+      ''
+    ];
+
+    if (comparison.summary) {
+      lines.push(`> ${escapeMarkdown(comparison.summary)}`, '');
+    }
+
+    lines.push(
+      '| Metric | Previous | Current | Change | Significance |',
+      '| --- | ---: | ---: | ---: | --- |'
+    );
+    for (const row of comparisonRows(result)) {
+      const arrow = row.comparison && row.comparison.improvement !== null
+        ? (row.comparison.isImprovement ? ' ↗️' : ' ↘️')
+        : '';
+      lines.push(`| ${row.label} | ${formatValue(row.previous)} | ${formatValue(row.current)} | ${formatChange(row.comparison)}${arrow} | ${formatSignificance(row.comparison)} |`);
+    }
+    lines.push('');
+
+    const stages = stageRows(result);
+    if (stages.length > 0) {
+      const hours = value => (value === null || value === undefined ? '-' : `${formatValue(value)}h`);
+      lines.push(
+        '**PR lifecycle stages:**',
+        '',
+        '| Stage | Previous Median | Current Median | Current p95 | Current PRs |',
+        '| --- | ---: | ---: | ---: | ---: |',
+        ...stages.map(row => `| ${row.label} | ${hours(row.previous?.count ? row.previous.medianHours : null)} | ${hours(row.current?.count ? row.current.medianHours : null)} | ${hours(row.current?.count ? row.current.p95Hours : null)} | ${row.current?.count || 0} |`),
+        ''
+      );
+    }
+
+    const shifts = changePointLines(result.changePoints);
+    if (shifts.length > 0) {
+      lines.push('**Detected shifts:**', '', ...shifts.map(line => `- ${line}`), '');
+    }
+
+    if (result.aiUsage) {
+      const { current, previous } = result.aiUsage;
+      lines.push(`AI-assisted PRs: ${current.assisted}/${current.total} current, ${previous.assisted}/${previous.total} previous.`, '');
+    }
+
+    if (result.bots) {
+      lines.push(...this.renderBots(result.bots));
+    }
+
+    const contributors = periods.current.prMetrics?.topContributors || [];
+    if (contributors.length > 0) {
+      lines.push('**Top contributors (current period):**', '');
+      contributors.slice(0, 5).forEach((contributor, index) => {
+        lines.push(`${index + 1}. ${escapeMarkdown(contributor.author)}: ${contributor.totalPRs} PRs, ${formatValue(contributor.avgCycleTime)}h avg cycle time`);
+      });
+      lines.push('');
+    }
+
+    if (result.components) {
+      lines.push(...this.renderComponents(result.components));
+    }
+
+    return lines;
+  }
+
+  renderAiUsage({ current, signals }) {
+    const lines = ['## AI-Assisted vs Non-Assisted PRs (Current Period)', ''];
+    if (current.assisted === 0) {
+      return [...lines, 'No AI-assisted PRs detected.', ''];
+    }
+
+    lines.push(
+      `${current.assisted} of ${current.total} PRs were AI-assisted (${(current.assisted / current.total * 100).toFixed(1)}%).  `,
+      `Signals (both periods): ${Object.entries(signals).map(([type, count]) => `${type} ${count}`).join(', ')}`,
+      ''
+    );
+
+    const rows = cohortRows(current);
+    if (rows.length > 0) {
+      lines.push('| Metric | Non-assisted | AI-assisted | Difference | Significance |', '| --- | ---: | ---: | ---: | --- |');
+      for (const row of rows) {
+        lines.push(`| ${row.label} | ${formatValue(row.previous)} | ${formatValue(row.current)} | ${formatChange(row.comparison)} | ${formatSignificance(row.comparison)} |`);
+      }
+      lines.push('');
+    }
+
+    return lines;
+  }
+
+  renderBots(bots) {
+    const { current, previous } = bots.pullRequests;
+    if (bots.mode === 'exclude') {
+      return [`Bot PRs excluded: ${previous} previous, ${current} current.`, ''];
+    }
+
+    const lines = [`**Bot PRs (reported separately):** ${previous} previous, ${current} current`, ''];
+    const rows = comparisonRows(bots);
+    if (rows.length > 0) {
+      lines.push('| Metric | Previous | Current | Change |', '| --- | ---: | ---: | ---: |');
+      for (const row of rows) {
+        lines.push(`| ${row.label} | ${formatValue(row.previous)} | ${formatValue(row.current)} | ${formatChange(row.comparison)} |`);
+      }
+      lines.push('');
+    }
+    return lines;
+  }
+
+  renderComponents({ source, error, components, unassignedPRs }) {
+    const lines = [`### Components (${source})`, ''];
+    if (error) {
+      return [...lines, `> ⚠️ ${escapeMarkdown(error)}`, ''];
+    }
+
+    lines.push(
+      '| Component | PRs | Median Cycle Time (h) | Median Review Time (h) | Overall Change |',
+      '| --- | ---: | ---: | ---: | ---: |'
+    );
+    for (const component of components) {
+      const row = segmentRow(component);
+      lines.push(`| ${escapeMarkdown(component.component)} | ${row.previousPRs} → ${row.currentPRs} | ${formatValue(row.cycleTime.previous)} → ${formatValue(row.cycleTime.current)} | ${formatValue(row.reviewTime.previous)} → ${formatValue(row.reviewTime.current)} | ${formatPercent(row.overall)} |`);
+    }
+    lines.push('');
+    if (unassignedPRs.current + unassignedPRs.previous > 0) {
+      lines.push(`PRs touching no component: ${unassignedPRs.previous} → ${unassignedPRs.current}`, '');
+    }
+
+    return lines;
+  }
+
+  renderTeams(teams) {
+    const lines = [
+      '## Teams',
+      '',
+      '| Team | PRs | Median Cycle Time (h) | Median Review Time (h) | Avg PR Size | Overall Change |',
+      '| --- | ---: | ---: | ---: | ---: | ---: |'
+    ];
+    for (const team of teams) {
+      const metrics = team.periods.current.prMetrics;
+      lines.push(`| ${escapeMarkdown(team.team)} | ${metrics?.totalPRs || 0} | ${formatValue(metrics?.cycleTime.medianHours)} | ${formatValue(metrics?.reviewTime.medianHours)} | ${formatValue(metrics?.prSize.avgChanges)} | ${formatPercent(segmentOverall(team))} |`);
+    }
+    lines.push('');
+
+    for (const team of teams) {
+      lines.push(
+        `### ${escapeMarkdown(team.team)}`,
+        '',
+        `Members: ${team.members.length} · repositories with PRs: ${escapeMarkdown(team.contributingRepositories.join(', ') || '-')}`,
+        ''
+      );
+      if (team.syncError) {
+        lines.push(`> ⚠️ GitHub team sync failed: ${escapeMarkdown(team.syncError)}`, '');
+      }
+
+      const rows = comparisonRows(team);
+      if (rows.length === 0) {
+        lines.push('Not enough PRs in both periods to compare.', '');
+        continue;
+      }
+      lines.push(
+        `> ${escapeMarkdown(team.comparison.summary)}`,
+        '',
+        '| Metric | Previous | Current | Change | Significance |',
+        '| --- | ---: | ---: | ---: | --- |'
+      );
+      for (const row of rows) {
+        lines.push(`| ${row.label} | ${formatValue(row.previous)} | ${formatValue(row.current)} | ${formatChange(row.comparison)} | ${formatSignificance(row.comparison)} |`);
+      }
+      lines.push('');
+    }
+
+    return lines;
+  }
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]|<>])/g, '\\$1');
+}
+
+module.exports = MarkdownRenderer;
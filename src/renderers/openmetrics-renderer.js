@@ -0,0 +1,113 @@
+// OpenMetrics text exposition of the current period, one labelled gauge family
+// per metric. The output also parses as Prometheus text format, so the same
+// file works with node_exporter's textfile collector.
+const METRIC_PREFIX = 'ai_delivery';
+
+const STATISTICS = [
+  { statistic: 'avg', hours: 'avgHours', changes: 'avgChanges' },
+  { statistic: 'median', hours: 'medianHours', changes: 'medianChanges' },
+  { statistic: 'p95', hours: 'p95Hours', changes: 'p95Changes' }
+];
+
+const FAMILIES = [
+  {
+    name: 'cycle_time_hours',
+    unit: 'hours',
+    help: 'PR cycle time from creation to merge in the current period',
+    samples: metrics => STATISTICS.map(s => ({ labels: { statistic: s.statistic }, value: metrics.prMetrics?.cycleTime[s.hours] }))
+  },
+  {
+    name: 'review_time_hours',
+    unit: 'hours',
+    help: 'Time from PR creation to first approval in the current period',
+    samples: metrics => STATISTICS.map(s => ({ labels: { statistic: s.statistic }, value: metrics.prMetrics?.reviewTime[s.hours] }))
+  },
+  {
+    name: 'pr_size_changes',
+    help: 'Lines added plus deleted per merged PR in the current period',
+    samples: metrics => STATISTICS.map(s => ({ labels: { statistic: s.statistic }, value: metrics.prMetrics?.prSize[s.changes] }))
+  },
+  {
+    name: 'pull_requests',
+    help: 'Merged PRs in the current period',
+    samples: metrics => [{ labels: {}, value: metrics.prMetrics?.totalPRs ?? 0 }]
+  },
+  {
+    name: 'commits',
+    help: 'Commits in the current period',
+    samples: metrics => [{ labels: {}, value: metrics.commitFrequency?.totalCommits }]
+  },
+  {
+    name: 'commits_per_day',
+    help: 'Average commits per calendar day in the current period',
+    samples: metrics => [{ labels: {}, value: metrics.commitFrequency?.avgCommitsPerDay }]
+  },
+  {
+    name: 'period_days',
+    unit: 'days',
+    help: 'Length of the current period',
+    samples: metrics => [{ labels: {}, value: metrics.days }]
+  }
+];
+
+class OpenMetricsRenderer {
+  constructor() {
+    this.extension = '.prom';
+  }
+
+  render(report) {
+    const org = report.summary.organization;
+    const analyzed = report.repositories.filter(result => !result.error && result.periods);
+    const lines = [];
+
+    for (const family of FAMILIES) {
+      const name = `${METRIC_PREFIX}_${family.name}`;
+      lines.push(`# TYPE ${name} gauge`);
+      if (family.unit) lines.push(`# UNIT ${name} ${family.unit}`);
+      lines.push(`# HELP ${name} ${family.help}`);
+
+      for (const result of analyzed) {
+        for (const sample of family.samples(result.periods.current)) {
+          if (sample.value === null || sample.value === undefined) continue;
+          lines.push(formatSample(name, { org, repo: result.repository, ...sample.labels }, sample.value));
+        }
+      }
+    }
+
+    const upName = `${METRIC_PREFIX}_repository_up`;
+    lines.push(`# TYPE ${upName} gauge`);
+    lines.push(`# HELP ${upName} 1 if the repository was analysed successfully, 0 if it failed`);
+    for (const result of report.repositories) {
+      lines.push(formatSample(upName, { org, repo: result.repository }, result.error ? 0 : 1));
+    }
+
+    const generatedName = `${METRIC_PREFIX}_report_generated_timestamp_seconds`;
+    lines.push(`# TYPE ${generatedName} gauge`);
+    lines.push(`# UNIT ${generatedName} seconds`);
+    lines.push(`# HELP ${generatedName} Unix time the report was generated`);
+    lines.push(formatSample(generatedName, { org }, Math.floor(new Date(report.summary.generatedAt).getTime() / 1000)));
+
+    lines.push('# EOF');
+    return lines.join('\n') + '\n';
+  }
+}
+
+function formatSample(name, labels, value) {
+  const labelText = Object.entries(labels)
+    .map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`)
+    .join(',');
+  return `${name}{${labelText}} ${formatNumber(value)}`;
+}
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatNumber(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+module.exports = OpenMetricsRenderer;
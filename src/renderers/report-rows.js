@@ -0,0 +1,134 @@
+const { formatPValue } = require('../statistics');
+
+// Previous/current/change rows for one repository (or team), shared by the file renderers
+function comparisonRows(result) {
+  const { comparison, periods } = result;
+  const previous = periods.previous.prMetrics;
+  const current = periods.current.prMetrics;
+  const rows = [];
+
+  const add = (label, oldValue, newValue, metricComparison) => {
+    rows.push({ label, previous: oldValue ?? null, current: newValue ?? null, comparison: metricComparison || null });
+  };
+
+  if (previous && current) {
+    add('Cycle Time (Hours)', previous.cycleTime.avgHours, current.cycleTime.avgHours, comparison.cycleTime);
+    add('Review Time (Hours)', previous.reviewTime.avgHours, current.reviewTime.avgHours, comparison.reviewTime);
+
+    if (comparison.businessHours) {
+      add('Cycle Time (Business Hours)', previous.businessHours.cycleTime.avgHours, current.businessHours.cycleTime.avgHours, comparison.businessHours.cycleTime);
+      add('Review Time (Business Hours)', previous.businessHours.reviewTime.avgHours, current.businessHours.reviewTime.avgHours, comparison.businessHours.reviewTime);
+    }
+
+    add('PR Size (Changes)', previous.prSize.avgChanges, current.prSize.avgChanges, comparison.prSize);
+    add('Total PRs', previous.totalPRs, current.totalPRs, comparison.totalPRs);
+  }
+
+  // Segments such as teams have no commit counts of their own
+  if (periods.current.commitFrequency || periods.previous.commitFrequency) {
+    add('Commits/Day', periods.previous.commitFrequency?.avgCommitsPerDay, periods.current.commitFrequency?.avgCommitsPerDay, null);
+  }
+
+  // DORA sits beside the PR summary, so a period without merged PRs still has it
+  const previousDora = periods.previous.dora;
+  const currentDora = periods.current.dora;
+  if (currentDora && previousDora && comparison.dora) {
+    add('Deployments/Week', previousDora.deploymentFrequency.perWeek, currentDora.deploymentFrequency.perWeek, comparison.dora.deploymentFrequency);
+    add('Lead Time (Median Hours)', previousDora.leadTime.medianHours, currentDora.leadTime.medianHours, comparison.dora.leadTime);
+    add('Change Failure Rate (%)', previousDora.changeFailureRate.percent, currentDora.changeFailureRate.percent, comparison.dora.changeFailureRate);
+    add('Time to Restore (Median Hours)', previousDora.timeToRestore.medianHours, currentDora.timeToRestore.medianHours, comparison.dora.timeToRestore);
+  }
+
+  return rows;
+}
+
+// Rows for an AI-assisted vs non-assisted cohort comparison (see summarizeAiUsage);
+// `previous` is the non-assisted cohort. PR counts are shown as the cohort sizes instead.
+function cohortRows(cohort) {
+  return comparisonRows(cohort).filter(row => row.label !== 'Total PRs');
+}
+
+// Median and p95 per PR lifecycle stage for both periods (see MetricsAnalyzer.summarizeStages)
+function stageRows(result) {
+  const previous = result.periods.previous.prMetrics?.stages;
+  const current = result.periods.current.prMetrics?.stages;
+  if (!previous && !current) return [];
+
+  const labels = {
+    draft: 'Draft',
+    waitForReview: 'Wait for First Review',
+    reviewIterations: 'Review Iterations',
+    approvalToMerge: 'Approval to Merge'
+  };
+  return Object.entries(labels).map(([key, label]) => ({
+    label,
+    previous: previous?.[key] || null,
+    current: current?.[key] || null
+  }));
+}
+
+// One sentence per detected shift in cycle or review time (see detectChangePoints)
+function changePointLines(changePoints) {
+  const labels = { cycleTime: 'Cycle time', reviewTime: 'Review time' };
+  return Object.entries(labels).flatMap(([key, label]) => (changePoints?.[key] || []).map(shift => {
+    const percent = shift.percentChange !== null ? ` (${shift.percentChange > 0 ? '+' : ''}${shift.percentChange.toFixed(1)}%)` : '';
+    return `${label} shifted on ${shift.date} (${shift.period} period): median ${formatValue(shift.beforeMedianHours)}h → ${formatValue(shift.afterMedianHours)}h${percent}`;
+  }));
+}
+
+// One overview row for a component or other segment: PR counts and median
+// cycle and review time for both periods, plus the overall change
+function segmentRow(segment) {
+  const previous = segment.periods.previous.prMetrics;
+  const current = segment.periods.current.prMetrics;
+
+  return {
+    previousPRs: previous?.totalPRs || 0,
+    currentPRs: current?.totalPRs || 0,
+    cycleTime: { previous: previous?.cycleTime.medianHours ?? null, current: current?.cycleTime.medianHours ?? null },
+    reviewTime: { previous: previous?.reviewTime.medianHours ?? null, current: current?.reviewTime.medianHours ?? null },
+    overall: segmentOverall(segment)
+  };
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '-' : value.toFixed(1);
+}
+
+function formatChange(comparison) {
+  return formatPercent(comparison?.improvement);
+}
+
+function formatPercent(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+// Overall improvement of a team or other segment; null unless both periods had PRs
+function segmentOverall(segment) {
+  const { current, previous } = segment.periods;
+  return current.prMetrics && previous.prMetrics ? segment.comparison.overallImprovement : null;
+}
+
+function formatSignificance(comparison) {
+  const significance = comparison?.significance;
+  if (!significance) return '';
+  if (!significance.tested) return 'not tested: too few PRs';
+
+  const ci = significance.confidenceInterval;
+  const ciText = ci ? `, ${ci.level}% CI ${ci.lower.toFixed(1)}%..${ci.upper.toFixed(1)}%` : '';
+  return `${formatPValue(significance.pValue)}${ciText}`;
+}
+
+module.exports = {
+  comparisonRows,
+  cohortRows,
+  stageRows,
+  changePointLines,
+  formatValue,
+  segmentRow,
+  formatChange,
+  formatPercent,
+  formatSignificance,
+  segmentOverall
+};
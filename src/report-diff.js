@@ -0,0 +1,189 @@
+const fs = require('fs');
+
+// Current-period metrics compared between two reports. `lowerIsBetter` decides
+// whether a delta is shown as an improvement.
+const DIFF_METRICS = [
+  { key: 'totalPRs', label: 'Total PRs', get: r => r.periods.current.prMetrics?.totalPRs, lowerIsBetter: false },
+  { key: 'cycleTimeAvgHours', label: 'Cycle Time (Hours)', get: r => r.periods.current.prMetrics?.cycleTime?.avgHours, lowerIsBetter: true },
+  { key: 'cycleTimeMedianHours', label: 'Cycle Time Median (Hours)', get: r => r.periods.current.prMetrics?.cycleTime?.medianHours, lowerIsBetter: true },
+  { key: 'reviewTimeAvgHours', label: 'Review Time (Hours)', get: r => r.periods.current.prMetrics?.reviewTime?.avgHours, lowerIsBetter: true },
+  { key: 'reviewTimeMedianHours', label: 'Review Time Median (Hours)', get: r => r.periods.current.prMetrics?.reviewTime?.medianHours, lowerIsBetter: true },
+  { key: 'prSizeAvgChanges', label: 'PR Size (Changes)', get: r => r.periods.current.prMetrics?.prSize?.avgChanges, lowerIsBetter: true },
+  { key: 'commitsPerDay', label: 'Commits/Day', get: r => r.periods.current.commitFrequency?.avgCommitsPerDay, lowerIsBetter: false },
+  { key: 'overallImprovement', label: 'Overall Improvement (%)', get: r => r.comparison?.overallImprovement, lowerIsBetter: false }
+];
+
+function loadReport(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Report not found: ${file}`);
+  }
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(report.repositories)) {
+    throw new Error(`${file} is not an analysis report (no repositories array)`);
+  }
+  return report;
+}
+
+// Compare two formatReport() outputs; `before` is the older report
+function diffReports(before, after) {
+  const index = report => new Map(
+    report.repositories.filter(r => !r.error && r.periods).map(r => [r.repository, r])
+  );
+  const beforeRepos = index(before);
+  const afterRepos = index(after);
+  // A repository that failed in either report is still configured: failing in the
+  // newer one doesn't remove it, and succeeding again doesn't make it new
+  const errors = report => report.repositories.filter(r => r.error).map(r => ({ repository: r.repository, error: r.error }));
+  const beforeErrors = errors(before);
+  const afterErrors = errors(after);
+  const failed = (list, name) => list.some(r => r.repository === name);
+
+  const repositories = [];
+  for (const [name, afterRepo] of afterRepos) {
+    const beforeRepo = beforeRepos.get(name);
+    if (!beforeRepo) continue;
+
+    const metrics = {};
+    for (const metric of DIFF_METRICS) {
+      metrics[metric.key] = diffValue(metric.get(beforeRepo), metric.get(afterRepo), metric.lowerIsBetter);
+    }
+
+    repositories.push({
+      repository: name,
+      periods: {
+        before: { start: beforeRepo.periods.current.start, end: beforeRepo.periods.current.end },
+        after: { start: afterRepo.periods.current.start, end: afterRepo.periods.current.end }
+      },
+      metrics,
+      contributors: diffContributors(
+        beforeRepo.periods.current.prMetrics?.topContributors || [],
+        afterRepo.periods.current.prMetrics?.topContributors || []
+      ),
+      flip: classifyFlip(beforeRepo.comparison?.overallImprovement, afterRepo.comparison?.overallImprovement)
+    });
+  }
+
+  return {
+    before: { generatedAt: before.summary?.generatedAt, overallImprovementPercent: before.summary?.overallImprovementPercent },
+    after: { generatedAt: after.summary?.generatedAt, overallImprovementPercent: after.summary?.overallImprovementPercent },
+    overallImprovement: diffValue(before.summary?.overallImprovementPercent, after.summary?.overallImprovementPercent, false),
+    addedRepositories: [...afterRepos.keys()].filter(name => !beforeRepos.has(name) && !failed(beforeErrors, name)),
+    removedRepositories: [...beforeRepos.keys()].filter(name => !afterRepos.has(name) && !failed(afterErrors, name)),
+    erroredRepositories: afterErrors,
+    recoveredRepositories: beforeErrors.filter(r => afterRepos.has(r.repository)),
+    flippedToRegression: repositories.filter(r => r.flip === 'regressed').map(r => r.repository),
+    flippedToImprovement: repositories.filter(r => r.flip === 'recovered').map(r => r.repository),
+    repositories
+  };
+}
+
+function diffValue(before, after, lowerIsBetter) {
+  if (before === null || before === undefined || after === null || after === undefined) {
+    return { before: before ?? null, after: after ?? null, delta: null, percentChange: null, isImprovement: null };
+  }
+
+  const delta = after - before;
+  return {
+    before,
+    after,
+    delta,
+    percentChange: before !== 0 ? (delta / Math.abs(before)) * 100 : null,
+    isImprovement: delta === 0 ? null : (lowerIsBetter ? delta < 0 : delta > 0)
+  };
+}
+
+function diffContributors(before, after) {
+  const beforeByAuthor = new Map(before.map(c => [c.author, c]));
+  const afterByAuthor = new Map(after.map(c => [c.author, c]));
+
+  return {
+    joined: after.filter(c => !beforeByAuthor.has(c.author)).map(c => c.author),
+    left: before.filter(c => !afterByAuthor.has(c.author)).map(c => c.author),
+    changed: after
+      .filter(c => beforeByAuthor.has(c.author))
+      .map(c => ({
+        author: c.author,
+        totalPRs: diffValue(beforeByAuthor.get(c.author).totalPRs, c.totalPRs, false),
+        avgCycleTime: diffValue(beforeByAuthor.get(c.author).avgCycleTime, c.avgCycleTime, true)
+      }))
+      .filter(c => c.totalPRs.delta !== 0 || c.avgCycleTime.delta !== 0)
+  };
+}
+
+function classifyFlip(before, after) {
+  if (before === null || before === undefined || after === null || after === undefined) return null;
+  if (before > 0 && after < 0) return 'regressed';
+  if (before < 0 && after > 0) return 'recovered';
+  return null;
+}
+
+async function runDiff(reportA, reportB, options = {}) {
+  let diff;
+  try {
+    diff = diffReports(loadReport(reportA), loadReport(reportB));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(diff, null, 2));
+    return diff;
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log('🔀 REPORT DIFF');
+  console.log('='.repeat(60));
+  console.log(`Before: ${reportA} (${diff.before.generatedAt || 'unknown date'})`);
+  console.log(`After:  ${reportB} (${diff.after.generatedAt || 'unknown date'})`);
+  printDelta('Overall Improvement (%)', diff.overallImprovement);
+
+  if (diff.addedRepositories.length > 0) {
+    console.log(`\n🆕 New repositories: ${diff.addedRepositories.join(', ')}`);
+  }
+  if (diff.removedRepositories.length > 0) {
+    console.log(`🗑️  Removed repositories: ${diff.removedRepositories.join(', ')}`);
+  }
+  if (diff.erroredRepositories.length > 0) {
+    console.log(`❌ Failed in the newer report: ${diff.erroredRepositories.map(r => `${r.repository} (${r.error})`).join(', ')}`);
+  }
+  if (diff.recoveredRepositories.length > 0) {
+    console.log(`🩹 Failed in the older report, analysed in the newer one: ${diff.recoveredRepositories.map(r => r.repository).join(', ')}`);
+  }
+  if (diff.flippedToRegression.length > 0) {
+    console.log(`\n🚨 Flipped from improvement to regression: ${diff.flippedToRegression.join(', ')}`);
+  }
+  if (diff.flippedToImprovement.length > 0) {
+    console.log(`🎉 Flipped from regression to improvement: ${diff.flippedToImprovement.join(', ')}`);
+  }
+
+  for (const repo of diff.repositories) {
+    console.log(`\n📂 Repository: ${repo.repository}`);
+    console.log(`  Period: ${repo.periods.before.start}..${repo.periods.before.end} → ${repo.periods.after.start}..${repo.periods.after.end}`);
+
+    for (const metric of DIFF_METRICS) {
+      printDelta(metric.label, repo.metrics[metric.key]);
+    }
+
+    const { joined, left, changed } = repo.contributors;
+    if (joined.length > 0) console.log(`  👋 New top contributors: ${joined.join(', ')}`);
+    if (left.length > 0) console.log(`  🚪 No longer top contributors: ${left.join(', ')}`);
+    changed.slice(0, 5).forEach(c => {
+      const sign = c.totalPRs.delta > 0 ? '+' : '';
+      console.log(`  👤 ${c.author}: ${c.totalPRs.after} PRs (${sign}${c.totalPRs.delta ?? 0})`);
+    });
+  }
+
+  return diff;
+}
+
+function printDelta(label, value) {
+  if (value.delta === null) return;
+
+  const arrow = value.isImprovement === null ? '→' : (value.isImprovement ? '↗️' : '↘️');
+  const sign = value.delta > 0 ? '+' : '';
+  const percent = value.percentChange !== null ? ` (${sign}${value.percentChange.toFixed(1)}%)` : '';
+  console.log(`  ${label}: ${value.before.toFixed(1)} → ${value.after.toFixed(1)}${percent} ${arrow}`);
+}
+
+module.exports = { runDiff, diffReports };
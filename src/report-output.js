@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { format } = require('date-fns');
+const HistoryStore = require('./history-store');
+const { createRenderer } = require('./renderers');
+
+// Write a generateReport() result in every requested format, plus the optional
+// textfile-collector and CSV exports, and record it in the report history.
+// Shared by the CLI, `serve` and `daemon`.
+function saveReport(report, options = {}) {
+  const outputDir = options.outputDir || 'reports';
+  const formats = options.formats || ['json'];
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Seconds keep runs started within the same minute (daemon, serve) from overwriting each other
+  const basename = `${outputDir}/ai-delivery-analysis-${format(new Date(), 'yyyy-MM-dd-HH-mm-ss')}`;
+  const files = [];
+  let jsonFile = null;
+
+  for (const name of formats) {
+    const renderer = createRenderer(name);
+    const output = renderer.render(report);
+    if (!renderer.extension) continue;
+
+    const filename = basename + renderer.extension;
+    fs.writeFileSync(filename, output);
+    files.push(filename);
+    if (name === 'json') jsonFile = filename;
+
+    console.log(`\n💾 ${name} report saved to: ${filename}`);
+  }
+
+  if (options.textfileCollector) {
+    const collectorFile = writeTextfileCollector(report, options.textfileCollector);
+    files.push(collectorFile);
+    console.log(`📡 OpenMetrics written to: ${collectorFile}`);
+  }
+
+  if (options.pullRequests) {
+    const { exportCsv } = require('./csv-export');
+    const csvFiles = exportCsv(report, options.pullRequests, basename);
+    const csvPaths = [csvFiles.pullRequestFile, csvFiles.repositoryFile, csvFiles.teamFile].filter(Boolean);
+    files.push(...csvPaths);
+    console.log(`📑 CSV exports saved to: ${csvPaths.join(', ')}`);
+  }
+
+  const history = new HistoryStore({ directory: outputDir });
+  const added = history.ingest(report, jsonFile);
+  console.log(`🗃️  Added ${added} period summaries to ${history.filePath}`);
+
+  return { basename, jsonFile, files };
+}
+
+// node_exporter reads the directory at any time, so write to a temp file and
+// rename it into place to never expose a half-written file
+function writeTextfileCollector(report, directory) {
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  const file = path.join(directory, `ai-delivery-${report.summary.organization}.prom`);
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, createRenderer('openmetrics').render(report));
+  fs.renameSync(tempFile, file);
+  return file;
+}
+
+// Saved JSON reports in a directory, newest first
+function listReports(outputDir) {
+  if (!fs.existsSync(outputDir)) return [];
+
+  return fs.readdirSync(outputDir)
+    .filter(file => /^ai-delivery-analysis-.*\.json$/.test(file))
+    .sort()
+    .reverse()
+    .map(file => path.join(outputDir, file));
+}
+
+module.exports = {
+  saveReport,
+  writeTextfileCollector,
+  listReports
+};
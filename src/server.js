@@ -0,0 +1,359 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const AIDeliveryAnalyzer = require('./index');
+const GitHubClient = require('./github-client');
+const ConfigManager = require('./config-manager');
+const WorkingCalendar = require('./working-calendar');
+const { saveReport, listReports } = require('./report-output');
+const { Notifier } = require('./notifier');
+
+const DASHBOARD_FILE = path.join(__dirname, 'public', 'dashboard.html');
+const MAX_BODY_BYTES = 10 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Small JSON API over AIDeliveryAnalyzer. The GitHub token stays on the server;
+// every analyzer shares one client, so requests share the rate limiter and cache.
+class AnalysisServer {
+  constructor(options = {}) {
+    this.config = options.config;
+    this.host = options.host || this.config.server.host;
+    this.port = options.port ?? this.config.server.port;
+    this.outputDir = options.outputDir || this.config.outputDirectory;
+    this.summaryTtlMs = (options.summaryTtlMinutes ?? this.config.server.summaryTtlMinutes) * 60 * 1000;
+    this.triggerToken = options.triggerToken || null;
+    this.githubClient = options.githubClient || new GitHubClient();
+    this.notifier = Notifier.fromConfig(this.config);
+    this.calendar = this.config.workingCalendar.enabled ? WorkingCalendar.fromConfig(this.config.workingCalendar) : null;
+    this.summaries = new Map(); // "repo|period" -> { promise, expiresAt }
+    this.job = null; // Latest /api/trigger run
+  }
+
+  createAnalyzer(repositories, period) {
+    return AIDeliveryAnalyzer.fromConfig(this.config, {
+      githubClient: this.githubClient,
+      calendar: this.calendar,
+      repositories,
+      period
+    });
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => resolve(this.server));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      const parts = url.pathname.split('/').filter(Boolean).map(decodePathSegment);
+      if (req.method === 'GET' && parts.length === 0) {
+        return this.sendDashboard(res);
+      }
+      if (parts[0] !== 'api') {
+        throw new HttpError(404, `Not found: ${url.pathname}`);
+      }
+
+      const route = parts.slice(1);
+      if (req.method === 'GET' && route.length === 1 && route[0] === 'repos') {
+        return sendJson(res, 200, this.listRepositories());
+      }
+      if (req.method === 'GET' && route.length === 3 && route[0] === 'repos' && route[2] === 'summary') {
+        return sendJson(res, 200, await this.getSummary(route[1], url.searchParams.get('period')));
+      }
+      if (req.method === 'GET' && route.length === 1 && route[0] === 'reports') {
+        return sendJson(res, 200, this.listReports());
+      }
+      if (req.method === 'GET' && route.length === 2 && route[0] === 'reports') {
+        return sendJson(res, 200, this.readReport(route[1]));
+      }
+      if (route.length === 1 && route[0] === 'trigger') {
+        if (req.method === 'GET') return sendJson(res, 200, { job: this.job });
+        if (req.method === 'POST') return sendJson(res, 202, { job: await this.trigger(req) });
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+
+      throw new HttpError(404, `Not found: ${url.pathname}`);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error(`❌ ${req.method} ${url.pathname} failed: ${error.message}`);
+      }
+      sendJson(res, status, { error: error.message });
+    }
+  }
+
+  sendDashboard(res) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(fs.readFileSync(DASHBOARD_FILE));
+  }
+
+  // Configured repositories with their comparison from the newest saved report
+  listRepositories() {
+    const latest = new Map();
+    for (const file of listReports(this.outputDir)) {
+      const report = readJsonFile(file);
+      if (!report) continue;
+
+      for (const result of report.repositories || []) {
+        if (!latest.has(result.repository)) {
+          latest.set(result.repository, toRepositorySummary(result, file, report.summary?.generatedAt));
+        }
+      }
+      if (this.config.repositories.every(repo => latest.has(repo))) break;
+    }
+
+    const names = [...new Set([...this.config.repositories, ...latest.keys()])].sort();
+    return {
+      organization: this.config.organization,
+      repositories: names.map(repository => ({
+        repository,
+        configured: this.config.repositories.includes(repository),
+        latest: latest.get(repository) || null
+      }))
+    };
+  }
+
+  // Fresh analysis of one repository for a period preset. Concurrent and repeated
+  // requests share one run until it is summaryTtlMinutes old.
+  async getSummary(repo, period) {
+    period = period || this.config.defaultPeriod;
+    if (!this.config.repositories.includes(repo)) {
+      throw new HttpError(404, `Repository ${repo} is not configured`);
+    }
+    if (!AIDeliveryAnalyzer.getDateRangePresets()[period]) {
+      throw new HttpError(400, `Invalid period: ${period}`);
+    }
+
+    const key = `${repo}|${period}`;
+    const cached = this.summaries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.promise;
+    }
+
+    const promise = this.createAnalyzer([repo], period).analyzeRepository(repo).then(result => {
+      if (result.error) {
+        this.summaries.delete(key);
+        throw new HttpError(502, result.error);
+      }
+      return { period, ...result };
+    });
+    this.summaries.set(key, { promise, expiresAt: Date.now() + this.summaryTtlMs });
+    promise.catch(() => {}); // Callers handle the error; keep the cached copy quiet
+
+    return promise;
+  }
+
+  listReports() {
+    return {
+      reports: listReports(this.outputDir).map(file => {
+        const report = readJsonFile(file);
+        return {
+          file: path.basename(file),
+          generatedAt: report?.summary?.generatedAt || null,
+          totalRepositories: report?.summary?.totalRepositories ?? null,
+          overallImprovementPercent: report?.summary?.overallImprovementPercent ?? null,
+          periods: report?.summary?.periods || null
+        };
+      })
+    };
+  }
+
+  readReport(name) {
+    // Only plain report file names, never paths
+    if (!/^ai-delivery-analysis-[\w.-]+\.json$/.test(name)) {
+      throw new HttpError(400, `Invalid report name: ${name}`);
+    }
+    const report = readJsonFile(path.join(this.outputDir, name));
+    if (!report) {
+      throw new HttpError(404, `Report not found: ${name}`);
+    }
+    return report;
+  }
+
+  // Start a full report run in the background; one run at a time
+  async trigger(req) {
+    if (this.triggerToken && req.headers.authorization !== `Bearer ${this.triggerToken}`) {
+      throw new HttpError(401, 'Missing or invalid trigger token');
+    }
+    if (this.job?.status === 'running') {
+      throw new HttpError(409, `Run ${this.job.id} is still in progress`);
+    }
+
+    const body = await readJsonBody(req);
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    const period = body.period || this.config.defaultPeriod;
+    const repositories = body.repos || this.config.repositories;
+    if (!AIDeliveryAnalyzer.getDateRangePresets()[period]) {
+      throw new HttpError(400, `Invalid period: ${period}`);
+    }
+    if (!Array.isArray(repositories) || repositories.length === 0) {
+      throw new HttpError(400, 'repos must be a non-empty array');
+    }
+    const unknown = repositories.filter(repo => !this.config.repositories.includes(repo));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Repositories not configured: ${unknown.join(', ')}`);
+    }
+    // Check again: another trigger may have started a run while the body was read
+    if (this.job?.status === 'running') {
+      throw new HttpError(409, `Run ${this.job.id} is still in progress`);
+    }
+
+    const job = this.job = {
+      id: `${Date.now()}`,
+      status: 'running',
+      period,
+      repositories,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      reportFile: null,
+      error: null
+    };
+
+    this.createAnalyzer(repositories, period).generateReport()
+      .then(async report => {
+        const { jsonFile } = saveReport(report, { outputDir: this.outputDir, formats: ['json'] });
+        job.status = 'succeeded';
+        job.reportFile = path.basename(jsonFile);
+        await this.notifier.notify(report, [jsonFile]);
+      })
+      .catch(error => {
+        console.error(`❌ Triggered run ${job.id} failed: ${error.message}`);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return job;
+  }
+}
+
+function toRepositorySummary(result, file, generatedAt) {
+  const period = data => data && {
+    start: data.start,
+    end: data.end,
+    totalPRs: data.prMetrics?.totalPRs ?? 0,
+    cycleTimeAvgHours: data.prMetrics?.cycleTime.avgHours ?? null,
+    reviewTimeAvgHours: data.prMetrics?.reviewTime.avgHours ?? null,
+    prSizeAvgChanges: data.prMetrics?.prSize.avgChanges ?? null,
+    commitsPerDay: data.commitFrequency?.avgCommitsPerDay ?? null
+  };
+
+  return {
+    reportFile: path.basename(file),
+    generatedAt: generatedAt || null,
+    error: result.error || null,
+    periods: result.periods ? { current: period(result.periods.current), previous: period(result.periods.previous) } : null,
+    overallImprovement: result.comparison?.overallImprovement ?? null,
+    summary: result.comparison?.summary || null
+  };
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// A malformed percent-encoding (e.g. "%E0") is the client's fault, not a server error
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new HttpError(400, `Malformed path segment: ${segment}`);
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(new HttpError(400, 'Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+async function runServe(options) {
+  const config = new ConfigManager().loadConfig();
+
+  if (!process.env.GITHUB_TOKEN) {
+    console.error('❌ GITHUB_TOKEN environment variable is required');
+    console.log('💡 Create a .env file with: GITHUB_TOKEN=your_token_here');
+    process.exit(1);
+  }
+  if (!config.organization || config.repositories.length === 0) {
+    console.error('❌ serve needs an organization and repositories in config.json');
+    console.log('💡 Run --setup to configure');
+    process.exit(1);
+  }
+
+  const port = options.port !== undefined ? parseInt(options.port) : config.server.port;
+  if (isNaN(port) || port < 0 || port > 65535) {
+    console.error('❌ Port must be between 0 and 65535');
+    process.exit(1);
+  }
+
+  let server;
+  try {
+    server = new AnalysisServer({
+      config,
+      host: options.host,
+      port,
+      outputDir: options.outputDir,
+      triggerToken: process.env.ANALYZER_TRIGGER_TOKEN
+    });
+    await server.start();
+  } catch (error) {
+    console.error(`❌ Could not start server: ${error.message}`);
+    process.exit(1);
+  }
+
+  const address = server.server.address();
+  console.log(`🌐 Serving ${config.organization} on http://${address.address}:${address.port}`);
+  console.log(`📂 Reports from ${server.outputDir}`);
+  if (!server.triggerToken) {
+    console.log('💡 Set ANALYZER_TRIGGER_TOKEN to require a bearer token for POST /api/trigger');
+  }
+
+  return server;
+}
+
+module.exports = { AnalysisServer, runServe };
@@ -0,0 +1,122 @@
+// Statistical helpers for period comparisons. Everything here is deterministic:
+// the bootstrap uses a seeded generator so re-running a report gives the same intervals.
+
+// Small seeded PRNG (mulberry32), good enough for resampling
+function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal CDF via the Abramowitz & Stegun erf approximation (error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-sided Mann-Whitney U test using the normal approximation with tie and
+// continuity corrections. Returns the U statistic of `a`, z, p-value and the
+// rank-biserial correlation as an effect size (-1..1, positive when a > b).
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) return null;
+
+  const combined = [
+    ...a.map(value => ({ value, group: 0 })),
+    ...b.map(value => ({ value, group: 1 }))
+  ].sort((x, y) => x.value - y.value);
+
+  // Average ranks for ties, collecting tie sizes for the variance correction
+  let rankSumA = 0;
+  let tieCorrection = 0;
+  for (let i = 0; i < combined.length;) {
+    let j = i;
+    while (j + 1 < combined.length && combined[j + 1].value === combined[i].value) j++;
+    const averageRank = (i + j + 2) / 2;
+    const ties = j - i + 1;
+    tieCorrection += ties * ties * ties - ties;
+    for (let k = i; k <= j; k++) {
+      if (combined[k].group === 0) rankSumA += averageRank;
+    }
+    i = j + 1;
+  }
+
+  const n = n1 + n2;
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const mean = (n1 * n2) / 2;
+  const variance = ((n1 * n2) / 12) * ((n + 1) - tieCorrection / (n * (n - 1)));
+
+  if (variance <= 0) {
+    return { u, z: 0, pValue: 1, effectSize: 0 };
+  }
+
+  const diff = u - mean;
+  const z = (diff - Math.sign(diff) * 0.5) / Math.sqrt(variance);
+  const pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+
+  return {
+    u,
+    z,
+    pValue,
+    effectSize: (2 * u) / (n1 * n2) - 1
+  };
+}
+
+// Percentile bootstrap interval for the percent change of the mean from
+// `before` to `after`, resampling both groups independently.
+function bootstrapPercentChangeCI(before, after, options = {}) {
+  const iterations = options.iterations || 1000;
+  const level = options.level || 95;
+  const random = createRandom(options.seed);
+
+  if (before.length === 0 || after.length === 0) return null;
+
+  const resampleMean = values => {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[Math.floor(random() * values.length)];
+    }
+    return sum / values.length;
+  };
+
+  const changes = [];
+  for (let i = 0; i < iterations; i++) {
+    const beforeMean = resampleMean(before);
+    if (beforeMean === 0) continue;
+    changes.push(((resampleMean(after) - beforeMean) / beforeMean) * 100);
+  }
+
+  if (changes.length === 0) return null;
+
+  changes.sort((x, y) => x - y);
+  const tail = (100 - level) / 2 / 100;
+  const at = q => changes[Math.min(changes.length - 1, Math.max(0, Math.floor(q * changes.length)))];
+
+  return {
+    level,
+    lower: at(tail),
+    upper: at(1 - tail)
+  };
+}
+
+// "p=0.012" or "p<0.001" for console output
+function formatPValue(pValue) {
+  return pValue < 0.001 ? 'p<0.001' : `p=${pValue.toFixed(3)}`;
+}
+
+module.exports = {
+  createRandom,
+  formatPValue,
+  normalCdf,
+  mannWhitneyU,
+  bootstrapPercentChangeCI
+};
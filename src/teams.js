@@ -0,0 +1,94 @@
+// Team definitions from the `teams` section of config.json:
+//   "platform": { "members": ["alice"], "repositories": ["api"], "githubTeam": "platform-eng" }
+// A PR belongs to a team when its author is a member or it was merged in one of
+// the team's repositories, so PRs can count for several teams.
+function normalizeTeams(teams = {}) {
+  return Object.entries(teams).map(([name, team]) => {
+    if (!team || typeof team !== 'object' || Array.isArray(team)) {
+      throw new Error(`Team ${name} must be an object with members, repositories or githubTeam`);
+    }
+    for (const key of ['members', 'repositories']) {
+      if (team[key] !== undefined && !Array.isArray(team[key])) {
+        throw new Error(`Team ${name}: ${key} must be an array`);
+      }
+    }
+    if (!team.members?.length && !team.repositories?.length && !team.githubTeam) {
+      throw new Error(`Team ${name} needs members, repositories or a githubTeam to sync`);
+    }
+
+    return {
+      name,
+      members: team.members || [],
+      repositories: team.repositories || [],
+      githubTeam: team.githubTeam || null
+    };
+  });
+}
+
+// Add the members of each team's GitHub team. A failed sync keeps the
+// configured members so one missing permission doesn't fail the report.
+async function syncTeamMembers(teams, githubClient, organization) {
+  const synced = [];
+
+  for (const team of teams) {
+    if (!team.githubTeam) {
+      synced.push(team);
+      continue;
+    }
+
+    try {
+      const logins = await githubClient.getTeamMembers(organization, team.githubTeam);
+      console.log(`👥 Synced ${logins.length} members of ${organization}/${team.githubTeam} into team ${team.name}`);
+      synced.push({ ...team, members: [...new Set([...team.members, ...logins])] });
+    } catch (error) {
+      console.warn(`⚠️  Could not sync GitHub team ${team.githubTeam} for ${team.name}: ${error.message}`);
+      synced.push({ ...team, syncError: error.message });
+    }
+  }
+
+  return synced;
+}
+
+// Names of the teams a PR counts for; logins compare case-insensitively
+function teamsForPullRequest(pr, teams) {
+  const author = (pr.author || '').toLowerCase();
+  return teams
+    .filter(team =>
+      team.repositories.includes(pr.repository) ||
+      team.members.some(member => member.toLowerCase() === author)
+    )
+    .map(team => team.name);
+}
+
+// Team results from the per-PR metrics of a report run. Each PR's `teams`
+// field is filled in as a side effect so the CSV export can show it.
+function analyzeTeams(teams, pullRequests, metricsAnalyzer) {
+  for (const pr of pullRequests) {
+    pr.teams = teamsForPullRequest(pr, teams);
+  }
+
+  return teams.map(team => {
+    const prs = pullRequests.filter(pr => pr.teams.includes(team.name));
+    const segment = metricsAnalyzer.compareSegment(
+      prs.filter(pr => pr.period === 'current'),
+      prs.filter(pr => pr.period === 'previous')
+    );
+
+    return {
+      team: team.name,
+      members: team.members,
+      repositories: team.repositories,
+      githubTeam: team.githubTeam,
+      syncError: team.syncError,
+      contributingRepositories: [...new Set(prs.map(pr => pr.repository))].sort(),
+      ...segment
+    };
+  });
+}
+
+module.exports = {
+  normalizeTeams,
+  syncTeamMembers,
+  teamsForPullRequest,
+  analyzeTeams
+};
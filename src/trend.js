@@ -0,0 +1,93 @@
+const HistoryStore = require('./history-store');
+const ConfigManager = require('./config-manager');
+
+async function runTrend(options) {
+  const config = new ConfigManager().loadConfig();
+  const store = new HistoryStore({ directory: options.outputDir || config.outputDirectory });
+
+  if (!['week', 'month'].includes(options.interval)) {
+    console.error(`❌ Invalid interval: ${options.interval}`);
+    console.log('Valid intervals: week, month');
+    process.exit(1);
+  }
+
+  const limit = parseInt(options.limit);
+  if (isNaN(limit) || limit <= 0) {
+    console.error('❌ Limit must be a positive number');
+    process.exit(1);
+  }
+
+  if (options.import) {
+    const imported = store.importReports();
+    console.log(`📥 Imported ${imported.entries} entries from ${imported.files} report files`);
+  }
+
+  let entries = store.load();
+  if (options.repos) {
+    const repos = options.repos.split(',').map(r => r.trim());
+    entries = entries.filter(entry => repos.includes(entry.repository));
+  }
+
+  if (entries.length === 0) {
+    console.error(`❌ No history found in ${store.filePath}`);
+    console.log('💡 Run an analysis first, or use --import to backfill from existing reports');
+    process.exit(1);
+  }
+
+  const series = store.buildSeries(entries, options.interval);
+  const trim = points => points.slice(-limit);
+
+  if (options.json) {
+    const output = {
+      interval: series.interval,
+      repositories: Object.fromEntries(
+        Object.entries(series.repositories).map(([repo, points]) => [repo, trim(points)])
+      ),
+      organization: trim(series.organization)
+    };
+    console.log(JSON.stringify(output, null, 2));
+    return output;
+  }
+
+  const label = options.interval === 'month' ? 'Month-over-month' : 'Week-over-week';
+
+  for (const [repository, points] of Object.entries(series.repositories).sort(([a], [b]) => a.localeCompare(b))) {
+    console.log(`\n📂 ${repository} — ${label}`);
+    printSeries(trim(points));
+  }
+
+  console.log(`\n🏢 Organization — ${label} (${Object.keys(series.repositories).length} repositories)`);
+  printSeries(trim(series.organization));
+
+  return series;
+}
+
+function printSeries(points) {
+  console.log(`  ${'Period'.padEnd(9)} ${'PRs'.padStart(5)} ${'PRs/wk'.padStart(7)} ${'Cycle h'.padStart(8)} ${'Δ'.padStart(7)} ${'Review h'.padStart(9)} ${'Δ'.padStart(7)} ${'Size'.padStart(7)}`);
+
+  points.forEach((point, index) => {
+    const previous = points[index - 1];
+    console.log([
+      `  ${point.bucket.padEnd(9)}`,
+      String(point.totalPRs).padStart(5),
+      formatNumber(point.throughputPerWeek).padStart(7),
+      formatNumber(point.cycleTimeAvgHours).padStart(8),
+      formatChange(previous?.cycleTimeAvgHours, point.cycleTimeAvgHours).padStart(7),
+      formatNumber(point.reviewTimeAvgHours).padStart(9),
+      formatChange(previous?.reviewTimeAvgHours, point.reviewTimeAvgHours).padStart(7),
+      formatNumber(point.prSizeAvgChanges, 0).padStart(7)
+    ].join(' '));
+  });
+}
+
+function formatNumber(value, digits = 1) {
+  return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+function formatChange(oldValue, newValue) {
+  if (!oldValue || newValue === null || newValue === undefined) return '';
+  const change = ((newValue - oldValue) / oldValue) * 100;
+  return `${change > 0 ? '+' : ''}${change.toFixed(0)}%`;
+}
+
+module.exports = { runTrend };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WorkingCalendar {
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+    this.workingDays = options.workingDays || [1, 2, 3, 4, 5]; // 0 = Sunday
+    this.dayStart = parseTimeOfDay(options.dayStart || '09:00');
+    this.dayEnd = parseTimeOfDay(options.dayEnd || '17:00');
+    this.holidays = new Set(options.holidays || []); // 'yyyy-MM-dd' in the calendar's timezone
+
+    if (this.dayEnd <= this.dayStart) {
+      throw new Error(`Working day must end after it starts (${options.dayStart}-${options.dayEnd})`);
+    }
+
+    // Throws a RangeError for unknown timezones
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+
+  // Build a calendar from the `workingCalendar` config section. The holiday file
+  // holds one yyyy-MM-dd date per line; blank lines and # comments are ignored.
+  static fromConfig(config = {}, baseDir = process.cwd()) {
+    const holidays = [...(config.holidays || [])];
+
+    if (config.holidaysFile) {
+      const file = path.resolve(baseDir, config.holidaysFile);
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (const line of lines) {
+        const date = line.replace(/#.*$/, '').trim();
+        if (!date) continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+          throw new Error(`Invalid holiday date "${date}" in ${config.holidaysFile}`);
+        }
+        holidays.push(date);
+      }
+    }
+
+    return new WorkingCalendar({ ...config, holidays });
+  }
+
+  // Working hours between two instants, counting only the configured daily
+  // window on working days that aren't holidays.
+  businessHoursBetween(start, end) {
+    const startMs = new Date(start).getTime();
+    const endMs = new Date(end).getTime();
+    if (endMs <= startMs) return 0;
+
+    let totalMs = 0;
+    const first = this.localDate(startMs);
+    const last = this.localDate(endMs);
+
+    // Walk local calendar days; Date.UTC only serves as day arithmetic here
+    for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= Date.UTC(last.year, last.month - 1, last.day); day += DAY_MS) {
+      const date = new Date(day);
+      const key = date.toISOString().split('T')[0];
+      if (!this.workingDays.includes(date.getUTCDay()) || this.holidays.has(key)) continue;
+
+      const windowStart = this.toInstant(date, this.dayStart);
+      const windowEnd = this.toInstant(date, this.dayEnd);
+      const overlap = Math.min(endMs, windowEnd) - Math.max(startMs, windowStart);
+      if (overlap > 0) {
+        totalMs += overlap;
+      }
+    }
+
+    return Math.round((totalMs / (60 * 60 * 1000)) * 100) / 100;
+  }
+
+  localDate(ms) {
+    const parts = this.localParts(ms);
+    return { year: parts.year, month: parts.month, day: parts.day };
+  }
+
+  localParts(ms) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(new Date(ms))) {
+      if (type !== 'literal') parts[type] = parseInt(value);
+    }
+    return parts;
+  }
+
+  // Offset of the timezone from UTC at a given instant, in ms
+  offsetAt(ms) {
+    const p = this.localParts(ms);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+  }
+
+  // UTC instant of a local wall-clock time (minutes after midnight) on a local day
+  toInstant(utcDay, minutes) {
+    const wallClock = utcDay.getTime() + minutes * 60 * 1000;
+    const guess = wallClock - this.offsetAt(wallClock);
+    // Re-check the offset at the guess in case a DST switch lies in between
+    return wallClock - this.offsetAt(guess);
+  }
+}
+
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid time of day "${value}", expected HH:mm`);
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+module.exports = WorkingCalendar;
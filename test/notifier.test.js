@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseThreshold } = require('../src/notifier');
+
+test('parseThreshold accepts non-negative percentages', () => {
+  assert.strictEqual(parseThreshold('10'), 10);
+  assert.strictEqual(parseThreshold('2.5'), 2.5);
+  assert.strictEqual(parseThreshold('0'), 0);
+});
+
+test('parseThreshold rejects blank, partial and negative values', () => {
+  for (const value of ['', '  ', '5%', 'abc', '-1', 'Infinity', undefined]) {
+    assert.strictEqual(parseThreshold(value), null, `value ${JSON.stringify(value)}`);
+  }
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffReports } = require('../src/report-diff');
+
+const analysed = repository => ({
+  repository,
+  periods: { current: { start: '2026-09-01', end: '2026-09-30', prMetrics: null } },
+  comparison: {}
+});
+const failed = (repository, error) => ({ repository, error });
+
+test('a repository that failed in the newer report is errored, not removed', () => {
+  const diff = diffReports(
+    { repositories: [analysed('web-app'), analysed('api')] },
+    { repositories: [analysed('web-app'), failed('api', 'Not Found')] }
+  );
+
+  assert.deepStrictEqual(diff.removedRepositories, []);
+  assert.deepStrictEqual(diff.erroredRepositories, [{ repository: 'api', error: 'Not Found' }]);
+  assert.deepStrictEqual(diff.recoveredRepositories, []);
+});
+
+test('a repository that failed in the older report is recovered, not added', () => {
+  const diff = diffReports(
+    { repositories: [analysed('web-app'), failed('api', 'Not Found')] },
+    { repositories: [analysed('web-app'), analysed('api'), analysed('mobile')] }
+  );
+
+  assert.deepStrictEqual(diff.addedRepositories, ['mobile']);
+  assert.deepStrictEqual(diff.recoveredRepositories, [{ repository: 'api', error: 'Not Found' }]);
+  assert.deepStrictEqual(diff.erroredRepositories, []);
+});
+
+test('repositories missing from the newer report are removed', () => {
+  const diff = diffReports(
+    { repositories: [analysed('web-app'), analysed('legacy')] },
+    { repositories: [analysed('web-app')] }
+  );
+
+  assert.deepStrictEqual(diff.removedRepositories, ['legacy']);
+});
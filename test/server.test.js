@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AnalysisServer } = require('../src/server');
+const ConfigManager = require('../src/config-manager');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const config = new ConfigManager().mergeWithDefaults({ organization: 'acme', repositories: ['web-app'] });
+  server = new AnalysisServer({ config, host: '127.0.0.1', port: 0, githubClient: {} });
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+after(() => server.stop());
+
+const trigger = body => fetch(`${baseUrl}/api/trigger`, { method: 'POST', body });
+
+test('trigger rejects JSON bodies that are not objects', async () => {
+  for (const body of ['null', '"x"', '[]', '42']) {
+    const response = await trigger(body);
+    assert.strictEqual(response.status, 400, `body ${body}`);
+    assert.deepStrictEqual(await response.json(), { error: 'Request body must be a JSON object' });
+  }
+  assert.strictEqual(server.job, null);
+});
+
+test('malformed percent-encoding in the path is a 400', async () => {
+  const response = await fetch(`${baseUrl}/api/%E0`);
+  assert.strictEqual(response.status, 400);
+});